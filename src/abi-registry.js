@@ -0,0 +1,133 @@
+/**
+ * Implements the registry of contract ABIs used by the transaction builders
+ * of this library. The builders take the ABI of the called method from here
+ * so any call data they produce can be decoded back into the protocol,
+ * the method and its named arguments.
+ */
+
+// import needed libs
+import Web3 from "web3";
+import {Assert, stripHexPrefix} from "./utils";
+import {InvalidTransactionDataError} from "./errors";
+
+const {abi: SFC_ABI, address: SFC_CONTRACT_ADDRESS} = require('./abi/sfc');
+const {abi: ERC20_ABI} = require('./abi/erc20');
+const {abi: WFTM_ABI} = require('./abi/wftm');
+const {abi: FMINT_ABI} = require('./abi/fmint');
+const {abi: FLEND_LENDING_POOL_ABI} = require('./abi/flend-lending-pool');
+const {abi: UNISWAP_ROUTER_ABI} = require('./abi/uniswap-router');
+const {abi: GOVERNANCE_ABI} = require('./abi/governance');
+
+// SELECTOR_LENGTH represents the length of the method selector in the call data (in bytes).
+const SELECTOR_LENGTH = 4;
+
+// PROTOCOLS represents the registered protocols with the ABI of their contracts;
+// the address is known only for the contracts deployed on a fixed address.
+// If the same method selector is known to several protocols, the one deployed
+// on the called address wins, the first registered one is used otherwise.
+export const PROTOCOLS = {
+    sfc: {abi: SFC_ABI, address: SFC_CONTRACT_ADDRESS},
+    erc20: {abi: ERC20_ABI},
+    wftm: {abi: WFTM_ABI},
+    fmint: {abi: FMINT_ABI},
+    flend: {abi: FLEND_LENDING_POOL_ABI},
+    uniswap: {abi: UNISWAP_ROUTER_ABI},
+    governance: {abi: GOVERNANCE_ABI}
+};
+
+// abiCoder represents the ABI coder used to calculate selectors and decode parameters
+const abiCoder = new Web3().eth.abi;
+
+// selectors maps method selectors to the list of registered methods; built on the first use
+let selectors = null;
+
+/**
+ * getMethodAbi returns the ABI of the given method of a registered protocol.
+ *
+ * @param {string} protocol Name of the protocol, see PROTOCOLS.
+ * @param {string} method Name of the contract method.
+ * @returns {{}}
+ */
+export function getMethodAbi(protocol, method) {
+    Assert.check(PROTOCOLS.hasOwnProperty(protocol), "abiProtocol", "protocol", protocol);
+
+    const item = PROTOCOLS[protocol].abi.find(x => "function" === x.type && method === x.name);
+    Assert.check(undefined !== item, "abiMethod", "method", method);
+    return item;
+}
+
+/**
+ * getSelectors builds the map of method selectors of all the registered protocols.
+ *
+ * @returns {Map<string, [{protocol: string, item: {}}]>}
+ */
+function getSelectors() {
+    if (null === selectors) {
+        selectors = new Map();
+        Object.keys(PROTOCOLS).forEach(protocol => {
+            PROTOCOLS[protocol].abi
+                .filter(item => "function" === item.type)
+                .forEach(item => {
+                    const selector = abiCoder.encodeFunctionSignature(item);
+                    selectors.set(selector, (selectors.get(selector) || []).concat([{protocol, item}]));
+                });
+        });
+    }
+    return selectors;
+}
+
+/**
+ * decodeCall decodes the call data of a transaction produced by the library builders
+ * into the protocol, the called method and its named arguments. Calls not known
+ * to the registry, and transactions without a call, are decoded as null.
+ *
+ * @param {string|null} to Address of the called contract.
+ * @param {string} data The call data of the transaction.
+ * @returns {{protocol: string, method: string, signature: string, args: {}}|null}
+ */
+export function decodeCall(to, data) {
+    if (undefined !== to && null !== to) {
+        Assert.isAddress(to, "to");
+    }
+    Assert.isHexData(data, "data");
+
+    // no contract call at all?
+    const hex = Buffer.isBuffer(data) ? data.toString("hex") : stripHexPrefix(data);
+    if (hex.length < SELECTOR_LENGTH * 2) {
+        return null;
+    }
+
+    // find the method; prefer the protocol deployed on the called address
+    const candidates = getSelectors().get("0x" + hex.slice(0, SELECTOR_LENGTH * 2).toLowerCase());
+    if (undefined === candidates) {
+        return null;
+    }
+    const {protocol, item} = candidates.find(c => !!to && !!PROTOCOLS[c.protocol].address &&
+        to.toLowerCase() === PROTOCOLS[c.protocol].address.toLowerCase()) || candidates[0];
+
+    // decode named arguments
+    const signature = `${item.name}(${item.inputs.map(input => input.type).join(",")})`;
+    let params;
+    try {
+        params = abiCoder.decodeParameters(item.inputs, "0x" + hex.slice(SELECTOR_LENGTH * 2));
+    } catch (e) {
+        throw new InvalidTransactionDataError(`Invalid call data of ${protocol} ${signature}.`, {cause: e});
+    }
+
+    return {
+        protocol,
+        method: item.name,
+        signature,
+        args: item.inputs.reduce((args, input, i) => {
+            args[input.name || `${i}`] = params[i];
+            return args;
+        }, {})
+    };
+}
+
+// what we export here
+export default {
+    PROTOCOLS,
+    getMethodAbi,
+    decodeCall
+};
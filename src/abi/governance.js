@@ -0,0 +1,51 @@
+// ABI of the Fantom governance contract calls
+// used by the transaction builders and the call data decoder.
+module.exports = {
+    abi: [
+        {
+            "constant": false,
+            "inputs": [
+                {
+                    "internalType": "address",
+                    "name": "delegatedTo",
+                    "type": "address"
+                },
+                {
+                    "internalType": "uint256",
+                    "name": "proposalID",
+                    "type": "uint256"
+                },
+                {
+                    "internalType": "uint256[]",
+                    "name": "choices",
+                    "type": "uint256[]"
+                }
+            ],
+            "name": "vote",
+            "outputs": [],
+            "payable": false,
+            "stateMutability": "nonpayable",
+            "type": "function"
+        },
+        {
+            "constant": false,
+            "inputs": [
+                {
+                    "internalType": "address",
+                    "name": "delegatedTo",
+                    "type": "address"
+                },
+                {
+                    "internalType": "uint256",
+                    "name": "proposalID",
+                    "type": "uint256"
+                }
+            ],
+            "name": "cancelVote",
+            "outputs": [],
+            "payable": false,
+            "stateMutability": "nonpayable",
+            "type": "function"
+        }
+    ]
+};
@@ -0,0 +1,80 @@
+/**
+ * This implements recording of the APDU exchange between the FantomNano
+ * API bridge and the Ledger device. Recorded sessions can be saved as JSON
+ * and played back by the ReplayTransport to reproduce device specific issues
+ * without the device itself.
+ *
+ * @author Jiri Malek <jirka.malek@gmail.com>
+ * @copyright (c) 2020, Fantom Foundation
+ * @licese MIT
+ */
+import {buffer2Hex} from "./utils";
+
+// RECORDING_VERSION represents the version of the recording file format.
+export const RECORDING_VERSION = 1;
+
+// ApduRecorder implements the APDU exchange recorder.
+export default class ApduRecorder {
+    // exchanges holds the list of recorded APDU exchanges
+    exchanges = [];
+
+    /**
+     * wrap wraps the given transport send function so each APDU
+     * and the device response are recorded.
+     *
+     * @param {function} send The transport send function.
+     * @returns {function(number, number, number, number, Buffer): Promise<Buffer>}
+     */
+    wrap(send) {
+        return async (cla, ins, p1, p2, data = Buffer.alloc(0), ...rest) => {
+            const entry = {cla, ins, p1, p2, data: buffer2Hex(data)};
+            this.exchanges.push(entry);
+
+            try {
+                // the response contains the status word
+                const response = await send(cla, ins, p1, p2, data, ...rest);
+                entry.response = buffer2Hex(response);
+                return response;
+            } catch (e) {
+                // the device responded with an error status word
+                if (e && e.statusCode) {
+                    entry.response = e.statusCode.toString(16).padStart(4, "0");
+                } else {
+                    entry.error = e ? e.message : "unknown error";
+                }
+                throw e;
+            }
+        };
+    }
+
+    /**
+     * clear drops all the recorded exchanges.
+     */
+    clear() {
+        this.exchanges = [];
+    }
+
+    /**
+     * toJSON returns the recording in the format accepted by the ReplayTransport.
+     *
+     * @returns {{version: number, exchanges: [{cla: number, ins: number, p1: number, p2: number, data: string, response: string|undefined, error: string|undefined}]}}
+     */
+    toJSON() {
+        return {
+            version: RECORDING_VERSION,
+            exchanges: this.exchanges.map(e => ({...e}))
+        };
+    }
+
+    /**
+     * save writes the recording into the given JSON file.
+     * Please note the file system is available in Node.js only.
+     *
+     * @param {string} fileName
+     */
+    save(fileName) {
+        // the file system is loaded on demand so the recorder can be bundled for browsers
+        const fs = require("fs");
+        fs.writeFileSync(fileName, JSON.stringify(this.toJSON(), null, 2));
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * Implements host side BIP32 public child key derivation so a watch-only
+ * list of addresses can be built from a single exported key and its chain code.
+ * Please check the specification for details:
+ * https://github.com/bitcoin/bips/blob/master/bip-0032.mediawiki
+ */
+
+// import needed libs
+import {HDKey} from "ethereum-cryptography/hdkey";
+import {publicKeyConvert} from "ethereum-cryptography/secp256k1";
+import {publicToAddress, toChecksumAddress} from "ethereumjs-util";
+import {Assert, BIP32_HARDENED, buffer2Hex} from "./utils";
+
+// BIP32_CHAIN_CODE_LENGTH represents the length of the BIP32 chain code.
+const BIP32_CHAIN_CODE_LENGTH = 32;
+
+/**
+ * toHdKey creates public only HD key from the given public key and chain code.
+ *
+ * @param {Buffer} publicKey Compressed, or uncompressed secp256k1 public key.
+ * @param {Buffer} chainKey BIP32 chain code of the key.
+ * @returns {HDKey}
+ */
+function toHdKey(publicKey, chainKey) {
+    Assert.isBuffer(publicKey, "publicKey");
+    Assert.isBuffer(chainKey, "chainKey");
+    Assert.check(chainKey.length === BIP32_CHAIN_CODE_LENGTH, "chainKeyLength", "chainKey", chainKey.length);
+
+    const key = new HDKey();
+    key.publicKey = publicKey;
+    key.chainCode = chainKey;
+    return key;
+}
+
+/**
+ * deriveChildPublicKey derives non-hardened child public key of the given index
+ * from the parent public key and its chain code.
+ *
+ * @param {Buffer} publicKey Parent public key.
+ * @param {Buffer} chainKey Parent chain code.
+ * @param {number} index Non-hardened child index.
+ * @returns {{publicKey: Buffer, chainKey: Buffer}}
+ */
+function deriveChildPublicKey(publicKey, chainKey, index) {
+    Assert.isUint32(index, "index");
+
+    // hardened children can not be derived without the private key
+    Assert.check(index < BIP32_HARDENED, "nonHardenedIndex", "index", index);
+
+    // derive the child and return its key in uncompressed form, the same way the device does
+    const child = toHdKey(publicKey, chainKey).deriveChild(index);
+    return {
+        publicKey: Buffer.from(publicKeyConvert(child.publicKey, false)),
+        chainKey: Buffer.from(child.chainCode)
+    };
+}
+
+/**
+ * publicKeyToAddress calculates EIP-55 checksummed Fantom address of the given public key.
+ *
+ * @param {Buffer} publicKey Compressed, or uncompressed secp256k1 public key.
+ * @returns {string}
+ */
+function publicKeyToAddress(publicKey) {
+    Assert.isBuffer(publicKey, "publicKey");
+    return toChecksumAddress("0x" + buffer2Hex(publicToAddress(Buffer.from(publicKeyConvert(publicKey, false)), true)));
+}
+
+/**
+ * deriveAddresses derives a list of consecutive addresses from the parent
+ * public key and chain code, e.g. the key exported by FantomNano.getAccountXpub().
+ *
+ * @param {{publicKey: Buffer, chainKey: Buffer}} xpub Parent public key and chain code.
+ * @param {number} fromAddressId First address index to derive.
+ * @param {number} count Number of addresses to derive.
+ * @returns {[string]}
+ */
+function deriveAddresses(xpub, fromAddressId = 0, count = 5) {
+    Assert.isObject(xpub, "xpub");
+    Assert.isUint32(fromAddressId, "fromAddressId");
+    Assert.isUint32(count, "count");
+
+    // parse the parent key once for all the children
+    const parent = toHdKey(xpub.publicKey, xpub.chainKey);
+    return Array.from({length: count}, (_, i) => {
+        Assert.check(fromAddressId + i < BIP32_HARDENED, "nonHardenedIndex", "addressId", fromAddressId + i);
+        return publicKeyToAddress(parent.deriveChild(fromAddressId + i).publicKey);
+    });
+}
+
+// what we export here
+export default {
+    deriveChildPublicKey,
+    publicKeyToAddress,
+    deriveAddresses
+};
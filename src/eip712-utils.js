@@ -0,0 +1,222 @@
+/**
+ * Implements EIP-712 typed structured data hashing.
+ * Please check the specification for details:
+ * https://eips.ethereum.org/EIPS/eip-712
+ */
+
+// import needed libs
+import Web3 from "web3";
+import {keccak256, toBuffer} from "ethereumjs-util";
+import {Assert} from "./utils";
+
+// EIP712_DOMAIN_TYPE is the name of the domain separator struct type.
+const EIP712_DOMAIN_TYPE = "EIP712Domain";
+
+// EIP712_DOMAIN_FIELDS represents the list of known domain fields in the canonical order
+// used to build the domain type if the typed data does not define it explicitly.
+const EIP712_DOMAIN_FIELDS = [
+    {name: "name", type: "string"},
+    {name: "version", type: "string"},
+    {name: "chainId", type: "uint256"},
+    {name: "verifyingContract", type: "address"},
+    {name: "salt", type: "bytes32"}
+];
+
+// TYPED_DATA_PREFIX is the EIP-191 version byte prefix of the signed typed data.
+const TYPED_DATA_PREFIX = Buffer.from("1901", "hex");
+
+/**
+ * getTypes returns the types definition of the typed data
+ * with the domain type included.
+ *
+ * @param {{types: {}, domain: {}}} typedData
+ * @returns {{}}
+ */
+function getTypes(typedData) {
+    Assert.isObject(typedData);
+    Assert.isObject(typedData.types);
+    Assert.isObject(typedData.domain);
+
+    // the domain type is defined explicitly
+    if (typedData.types.hasOwnProperty(EIP712_DOMAIN_TYPE)) {
+        return typedData.types;
+    }
+
+    // build the domain type from the fields present in the domain
+    return {
+        ...typedData.types,
+        [EIP712_DOMAIN_TYPE]: EIP712_DOMAIN_FIELDS.filter(f => undefined !== typedData.domain[f.name])
+    };
+}
+
+/**
+ * findTypeDependencies collects the given struct type and all the struct types
+ * it references directly, or indirectly.
+ *
+ * @param {string} primaryType
+ * @param {{}} types
+ * @param {[string]} found
+ * @returns {[string]}
+ */
+function findTypeDependencies(primaryType, types, found = []) {
+    // strip array suffix from the type name
+    const type = primaryType.replace(/\[\d*]$/, "");
+
+    // atomic types and known structs are skipped
+    if (found.includes(type) || !types.hasOwnProperty(type)) {
+        return found;
+    }
+
+    found.push(type);
+    for (const field of types[type]) {
+        findTypeDependencies(field.type, types, found);
+    }
+    return found;
+}
+
+/**
+ * encodeType encodes the struct type with all its dependencies
+ * into the EIP-712 type string, e.g. "Mail(Person from,Person to,string contents)Person(...)".
+ *
+ * @param {string} primaryType
+ * @param {{}} types
+ * @returns {string}
+ */
+function encodeType(primaryType, types) {
+    Assert.check(types.hasOwnProperty(primaryType), "knownType", "primaryType", primaryType);
+
+    // the primary type goes first, dependencies are sorted by name
+    const deps = findTypeDependencies(primaryType, types).filter(t => t !== primaryType).sort();
+    return [primaryType, ...deps].map(t => {
+        return `${t}(${types[t].map(f => `${f.type} ${f.name}`).join(",")})`;
+    }).join("");
+}
+
+/**
+ * typeHash calculates the hash of the encoded struct type.
+ *
+ * @param {string} primaryType
+ * @param {{}} types
+ * @returns {Buffer}
+ */
+function typeHash(primaryType, types) {
+    return keccak256(Buffer.from(encodeType(primaryType, types), "utf8"));
+}
+
+/**
+ * encodeValue encodes single value of the given type into its 32 bytes EIP-712 representation.
+ *
+ * @param {Web3} web3
+ * @param {string} type
+ * @param {*} value
+ * @param {{}} types
+ * @returns {Buffer}
+ */
+function encodeValue(web3, type, value, types) {
+    // struct values are represented by their hash
+    if (types.hasOwnProperty(type)) {
+        return hashStruct(type, value, types);
+    }
+
+    // arrays are represented by hash of their encoded items
+    const array = type.match(/^(.+)\[(\d*)]$/);
+    if (null !== array) {
+        Assert.isArray(value);
+        if ("" !== array[2]) {
+            Assert.check(value.length === parseInt(array[2], 10));
+        }
+        return keccak256(Buffer.concat(value.map(item => encodeValue(web3, array[1], item, types))));
+    }
+
+    // dynamic types are represented by hash of their content
+    if ("string" === type) {
+        Assert.isString(value);
+        return keccak256(Buffer.from(value, "utf8"));
+    }
+    if ("bytes" === type) {
+        return keccak256(toBuffer(value));
+    }
+
+    // atomic types are ABI encoded
+    return toBuffer(web3.eth.abi.encodeParameter(type, value));
+}
+
+/**
+ * encodeData encodes the struct data of the given type.
+ *
+ * @param {string} primaryType
+ * @param {{}} data
+ * @param {{}} types
+ * @returns {Buffer}
+ */
+function encodeData(primaryType, data, types) {
+    Assert.isObject(data);
+    Assert.check(types.hasOwnProperty(primaryType), "knownType", "primaryType", primaryType);
+
+    // create web3.js instance
+    const web3 = new Web3();
+
+    // encode the struct type and each of its fields
+    const encoded = [typeHash(primaryType, types)];
+    for (const field of types[primaryType]) {
+        Assert.hasAttribute(data, field.name);
+        encoded.push(encodeValue(web3, field.type, data[field.name], types));
+    }
+
+    return Buffer.concat(encoded);
+}
+
+/**
+ * hashStruct calculates the EIP-712 hash of the struct data of the given type.
+ *
+ * @param {string} primaryType
+ * @param {{}} data
+ * @param {{}} types
+ * @returns {Buffer}
+ */
+function hashStruct(primaryType, data, types) {
+    return keccak256(encodeData(primaryType, data, types));
+}
+
+/**
+ * hashDomain calculates the domain separator of the given typed data.
+ *
+ * @param {{types: {}, domain: {}, primaryType: string, message: {}}} typedData
+ * @returns {Buffer}
+ */
+function hashDomain(typedData) {
+    return hashStruct(EIP712_DOMAIN_TYPE, typedData.domain, getTypes(typedData));
+}
+
+/**
+ * hashMessage calculates the struct hash of the message of the given typed data.
+ *
+ * @param {{types: {}, domain: {}, primaryType: string, message: {}}} typedData
+ * @returns {Buffer}
+ */
+function hashMessage(typedData) {
+    Assert.isString(typedData.primaryType);
+    return hashStruct(typedData.primaryType, typedData.message, getTypes(typedData));
+}
+
+/**
+ * hashTypedData calculates the final hash of the given typed data
+ * which is actually signed, e.g. keccak256("\x19\x01" ‖ domainSeparator ‖ hashStruct(message)).
+ *
+ * @param {{types: {}, domain: {}, primaryType: string, message: {}}} typedData
+ * @returns {Buffer}
+ */
+function hashTypedData(typedData) {
+    return keccak256(Buffer.concat([TYPED_DATA_PREFIX, hashDomain(typedData), hashMessage(typedData)]));
+}
+
+// what we export here
+export default {
+    encodeType,
+    typeHash,
+    encodeData,
+    hashStruct,
+    hashDomain,
+    hashMessage,
+    hashTypedData
+};
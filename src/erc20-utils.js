@@ -1,15 +1,13 @@
 // import needed libs
 import Web3 from "web3";
+import {Assert, withAccessList} from "./utils";
+import {resolveAmount} from "./units-utils";
+import {getMethodAbi} from "./abi-registry";
+import {OPERA_CHAIN_ID, TESTNET_CHAIN_ID, builderOptions, getNetwork} from "./networks";
 
 // ZERO_AMOUNT represents zero amount transferred on some calls.
 const ZERO_AMOUNT = '0x0';
 
-// OPERA_CHAIN_ID is the chain id used by Fantom Opera blockchain.
-const OPERA_CHAIN_ID = '0xfa';
-
-// TESTNET_CHAIN_ID is the chain id used by Fantom Opera test net.
-const TESTNET_CHAIN_ID = '0xfa2';
-
 /**
  * erc20TransferTx creates a base transaction for transferring specified amount of ERC20
  * synth token to the given recipient address. No allowance is needed. The trx sending
@@ -17,45 +15,28 @@ const TESTNET_CHAIN_ID = '0xfa2';
  *
  * @param {string} erc20Address
  * @param {string} recipientAddress
- * @param {string|{BN}} amount Amount to be transferred must be given in the token's decimals.
+ * @param {string|{BN}|{amount: string, decimals: number}} amount Amount to be transferred must be given in the token's decimals.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, chainId: string, to: string, value: string}}
  */
-function erc20TransferTx(erc20Address, recipientAddress, amount) {
+function erc20TransferTx(erc20Address, recipientAddress, amount, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    Assert.isAddress(erc20Address);
+    Assert.isAddress(recipientAddress);
+
     // create web3.js instance
     const web3 = new Web3();
 
     // make the transaction
-    return {
+    return withAccessList({
         to: erc20Address,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "recipient",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amount",
-                    "type": "uint256"
-                }
-            ],
-            "name": "transfer",
-            "outputs": [
-                {
-                    "internalType": "bool",
-                    "name": "",
-                    "type": "bool"
-                }
-            ],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [recipientAddress, amount]),
-        chainId: OPERA_CHAIN_ID
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("erc20", "transfer"), [recipientAddress, resolveAmount(amount)]),
+        chainId: getNetwork(network).chainId
+    }, accessList);
 }
 
 /**
@@ -67,50 +48,29 @@ function erc20TransferTx(erc20Address, recipientAddress, amount) {
  * @param {string} erc20Address
  * @param {string} ownerAddress
  * @param {string} recipientAddress
- * @param {string|{BN}} amount Amount to be transferred must be given in the token's decimals.
+ * @param {string|{BN}|{amount: string, decimals: number}} amount Amount to be transferred must be given in the token's decimals.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, chainId: string, to: string, value: string}}
  */
-function erc20TransferFromTx(erc20Address, ownerAddress, recipientAddress, amount) {
+function erc20TransferFromTx(erc20Address, ownerAddress, recipientAddress, amount, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    Assert.isAddress(erc20Address);
+    Assert.isAddress(ownerAddress);
+    Assert.isAddress(recipientAddress);
+
     // create web3.js instance
     const web3 = new Web3();
 
     // make the transaction
-    return {
+    return withAccessList({
         to: erc20Address,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "from",
-                    "type": "address"
-                },
-                {
-                    "internalType": "address",
-                    "name": "to",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "value",
-                    "type": "uint256"
-                }
-            ],
-            "name": "transferFrom",
-            "outputs": [
-                {
-                    "internalType": "bool",
-                    "name": "",
-                    "type": "bool"
-                }
-            ],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [ownerAddress, recipientAddress, amount]),
-        chainId: OPERA_CHAIN_ID
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("erc20", "transferFrom"), [ownerAddress, recipientAddress, resolveAmount(amount)]),
+        chainId: getNetwork(network).chainId
+    }, accessList);
 }
 
 /**
@@ -119,45 +79,28 @@ function erc20TransferFromTx(erc20Address, ownerAddress, recipientAddress, amoun
  *
  * @param {string} erc20Address
  * @param {string} delegatedToAddress
- * @param {string|{BN}} addAmount
+ * @param {string|{BN}|{amount: string, decimals: number}} addAmount
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, chainId: string, to: string, value: string}}
  */
-function erc20IncreaseAllowanceTx(erc20Address, delegatedToAddress, addAmount) {
+function erc20IncreaseAllowanceTx(erc20Address, delegatedToAddress, addAmount, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    Assert.isAddress(erc20Address);
+    Assert.isAddress(delegatedToAddress);
+
     // create web3.js instance
     const web3 = new Web3();
 
     // make the transaction
-    return {
+    return withAccessList({
         to: erc20Address,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "spender",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "addedValue",
-                    "type": "uint256"
-                }
-            ],
-            "name": "increaseAllowance",
-            "outputs": [
-                {
-                    "internalType": "bool",
-                    "name": "",
-                    "type": "bool"
-                }
-            ],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [delegatedToAddress, addAmount]),
-        chainId: OPERA_CHAIN_ID
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("erc20", "increaseAllowance"), [delegatedToAddress, resolveAmount(addAmount, "addAmount")]),
+        chainId: getNetwork(network).chainId
+    }, accessList);
 }
 
 /**
@@ -166,45 +109,28 @@ function erc20IncreaseAllowanceTx(erc20Address, delegatedToAddress, addAmount) {
  *
  * @param {string} erc20Address
  * @param {string} delegatedToAddress
- * @param {string|{BN}} subAmount
+ * @param {string|{BN}|{amount: string, decimals: number}} subAmount
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, chainId: string, to: string, value: string}}
  */
-function erc20DecreaseAllowanceTx(erc20Address, delegatedToAddress, subAmount) {
+function erc20DecreaseAllowanceTx(erc20Address, delegatedToAddress, subAmount, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    Assert.isAddress(erc20Address);
+    Assert.isAddress(delegatedToAddress);
+
     // create web3.js instance
     const web3 = new Web3();
 
     // make the transaction
-    return {
+    return withAccessList({
         to: erc20Address,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "spender",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "subtractedValue",
-                    "type": "uint256"
-                }
-            ],
-            "name": "decreaseAllowance",
-            "outputs": [
-                {
-                    "internalType": "bool",
-                    "name": "",
-                    "type": "bool"
-                }
-            ],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [delegatedToAddress, subAmount]),
-        chainId: OPERA_CHAIN_ID
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("erc20", "decreaseAllowance"), [delegatedToAddress, resolveAmount(subAmount, "subAmount")]),
+        chainId: getNetwork(network).chainId
+    }, accessList);
 }
 
 // what we export here
@@ -0,0 +1,211 @@
+/**
+ * Implements typed errors of the Fantom Ledger API bridge. Each error carries
+ * a machine readable code and, if the error originates on the device, the status word
+ * and the APDU instruction it responded to; callers can branch on the error type,
+ * or the code instead of parsing the error message.
+ */
+
+// ERROR_CODES represents machine readable codes of the API bridge errors
+export const ERROR_CODES = {
+    // Generic device error without a more specific code.
+    DEVICE_ERROR: "DEVICE_ERROR",
+    // Action has been rejected by the user on the device.
+    USER_REJECTED: "USER_REJECTED",
+    // Fantom application is not open on the device.
+    APP_NOT_OPEN: "APP_NOT_OPEN",
+    // Device is locked.
+    DEVICE_LOCKED: "DEVICE_LOCKED",
+    // Fantom application on the device is too old for the requested feature.
+    APP_UPGRADE_REQUIRED: "APP_UPGRADE_REQUIRED",
+    // Transaction data are not valid, or not recognized by the device.
+    INVALID_TRANSACTION_DATA: "INVALID_TRANSACTION_DATA",
+    // BIP32 path is not valid.
+    INVALID_PATH: "INVALID_PATH",
+    // Input data failed a validation rule.
+    VALIDATION_FAILED: "VALIDATION_FAILED",
+    // Signature does not belong to the signing address.
+    SIGNATURE_MISMATCH: "SIGNATURE_MISMATCH",
+    // Signing session has been cancelled, or timed out.
+    SIGNING_CANCELLED: "SIGNING_CANCELLED"
+};
+
+/**
+ * LedgerError is the base class of all the API bridge errors.
+ */
+export class LedgerError extends Error {
+    /**
+     * Construct new API bridge error
+     *
+     * @param {string} message Human readable error message.
+     * @param {{code: string|undefined, statusCode: number|undefined, ins: number|undefined, cause: *, errors: [ValidationError]|undefined}} details
+     *        Machine readable code of the error; status word and instruction of the failed APDU, if any;
+     *        the original error this error has been converted from, if any;
+     *        and the list of validation failures behind the error, if any.
+     */
+    constructor(message, {code = ERROR_CODES.DEVICE_ERROR, statusCode = null, ins = null, cause = undefined, errors = undefined} = {}) {
+        super(message);
+        this.name = "LedgerError";
+        this.code = code;
+        this.statusCode = statusCode;
+        this.ins = ins;
+        if (undefined !== cause) {
+            this.cause = cause;
+        }
+        if (undefined !== errors) {
+            this.errors = errors;
+        }
+    }
+}
+
+/**
+ * formatValue formats the offending value for validation error messages.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+    if ("string" === typeof value) {
+        return JSON.stringify(value.length > 80 ? value.slice(0, 77) + "..." : value);
+    }
+    if ("number" === typeof value || "boolean" === typeof value || null === value || undefined === value) {
+        return String(value);
+    }
+    return Array.isArray(value) ? "array" : typeof value;
+};
+
+/**
+ * ValidationError is thrown if the input data fail a validation rule.
+ * It identifies the rule, the path of the validated field and the offending value.
+ */
+export class ValidationError extends LedgerError {
+    /**
+     * Construct new validation error
+     *
+     * @param {string} rule Name of the failed rule, e.g. "isUint32".
+     * @param {string} field Path of the validated field, e.g. "tx.gasLimit", or "path[2]".
+     * @param {*} value The offending value.
+     */
+    constructor(rule, field, value) {
+        super(`Data validation failed! ${field} = ${formatValue(value)} does not pass ${rule} rule.`, {
+            code: ERROR_CODES.VALIDATION_FAILED
+        });
+        this.name = "ValidationError";
+        this.rule = rule;
+        this.field = field;
+        this.value = value;
+    }
+}
+
+/**
+ * LedgerUserRejectedError is thrown if the user rejects the action on the device.
+ */
+export class LedgerUserRejectedError extends LedgerError {
+    constructor(message, details = {}) {
+        super(message, {...details, code: ERROR_CODES.USER_REJECTED});
+        this.name = "LedgerUserRejectedError";
+    }
+}
+
+/**
+ * LedgerAppNotOpenError is thrown if the device responds from the dashboard,
+ * or from another application instead of the Fantom application.
+ */
+export class LedgerAppNotOpenError extends LedgerError {
+    constructor(message, details = {}) {
+        super(message, {...details, code: ERROR_CODES.APP_NOT_OPEN});
+        this.name = "LedgerAppNotOpenError";
+    }
+}
+
+/**
+ * LedgerLockedError is thrown if the device is locked.
+ */
+export class LedgerLockedError extends LedgerError {
+    constructor(message, details = {}) {
+        super(message, {...details, code: ERROR_CODES.DEVICE_LOCKED});
+        this.name = "LedgerLockedError";
+    }
+}
+
+/**
+ * LedgerAppVersionError is thrown if the requested feature is not supported
+ * by the version of the Fantom application installed on the device.
+ */
+export class LedgerAppVersionError extends LedgerError {
+    /**
+     * Construct new app version error
+     *
+     * @param {string} feature Name of the requested feature.
+     * @param {{statusCode: number|undefined, ins: number|undefined, cause: *}} details
+     *        Status word and instruction of the rejected APDU, if any; the original error, if any.
+     */
+    constructor(feature, details = {}) {
+        super(`Please upgrade your Fantom Ledger app to use ${feature}.`, {
+            ...details,
+            code: ERROR_CODES.APP_UPGRADE_REQUIRED
+        });
+        this.name = "LedgerAppVersionError";
+        this.feature = feature;
+    }
+}
+
+/**
+ * InvalidTransactionDataError is thrown if the transaction fails validation,
+ * or if the device does not recognize the transaction data.
+ */
+export class InvalidTransactionDataError extends LedgerError {
+    constructor(message, details = {}) {
+        super(message, {...details, code: ERROR_CODES.INVALID_TRANSACTION_DATA});
+        this.name = "InvalidTransactionDataError";
+    }
+}
+
+/**
+ * InvalidPathError is thrown if a BIP32 path is not valid, or it's outside
+ * of the Fantom address space the device is able to derive.
+ */
+export class InvalidPathError extends LedgerError {
+    constructor(message, details = {}) {
+        super(message, {...details, code: ERROR_CODES.INVALID_PATH});
+        this.name = "InvalidPathError";
+    }
+}
+
+/**
+ * SignatureVerificationError is thrown if the signature received from the device
+ * does not belong to the address the device derives for the signing BIP32 path.
+ * It signals a compromised transport layer, or a wrong signing path.
+ */
+export class SignatureVerificationError extends LedgerError {
+    /**
+     * Construct new signature verification error
+     *
+     * @param {[]} bip32Path BIP32 path of the signing key.
+     * @param {string} expectedAddress Address derived for the path.
+     * @param {string|null} recoveredAddress Address recovered from the signature.
+     */
+    constructor(bip32Path, expectedAddress, recoveredAddress) {
+        super(`Signature does not match the signing address ${expectedAddress}.`, {code: ERROR_CODES.SIGNATURE_MISMATCH});
+        this.name = "SignatureVerificationError";
+        this.bip32Path = bip32Path;
+        this.expectedAddress = expectedAddress;
+        this.recoveredAddress = recoveredAddress;
+    }
+}
+
+/**
+ * SigningCancelled is thrown if a signing session is cancelled by the caller
+ * through an abort signal, or if it doesn't finish in the configured time.
+ */
+export class SigningCancelled extends LedgerError {
+    /**
+     * Construct new signing cancelled error
+     *
+     * @param {string} reason Reason of the cancellation, either "aborted", or "timeout".
+     */
+    constructor(reason) {
+        super(("timeout" === reason) ? "Signing has timed out." : "Signing has been cancelled.", {code: ERROR_CODES.SIGNING_CANCELLED});
+        this.name = "SigningCancelled";
+        this.reason = reason;
+    }
+}
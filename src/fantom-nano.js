@@ -6,33 +6,109 @@
  * @version 0.1.7
  * @licese MIT
  */
-import {Assert, stripReturnCodeFromResponse, bip32PathToBuffer, BIP32_HARDENED, buffer2Hex} from "./utils";
+import {
+    Assert,
+    stripReturnCodeFromResponse,
+    bip32PathToBuffer,
+    BIP32_HARDENED,
+    buffer2Hex,
+    TX_TYPE,
+    getTransactionType,
+    PATH_SCHEMES,
+    parseBip32Path
+} from "./utils";
+import {
+    ERROR_CODES,
+    LedgerError,
+    LedgerUserRejectedError,
+    LedgerAppNotOpenError,
+    LedgerLockedError,
+    LedgerAppVersionError,
+    InvalidTransactionDataError,
+    InvalidPathError,
+    ValidationError,
+    SignatureVerificationError,
+    SigningCancelled
+} from "./errors";
 import {Transaction} from "ethereumjs-tx";
 import Common from "ethereumjs-common";
 import {encode} from "rlp";
-import {toBuffer, stripZeros} from "ethereumjs-util";
+import {
+    toBuffer,
+    unpadBuffer,
+    toRpcSig,
+    keccak256,
+    hashPersonalMessage,
+    ecrecover,
+    publicToAddress,
+    toChecksumAddress
+} from "ethereumjs-util";
+import eip712 from "./eip712-utils";
+import {OPERA_CHAIN_ID, TESTNET_CHAIN_ID} from "./networks";
 
 // FANTOM_CHAIN_ID represents the Fantom Opera main chain id.
-export const FANTOM_CHAIN_ID = 0xfa;
+export const FANTOM_CHAIN_ID = parseInt(OPERA_CHAIN_ID, 16);
+
+// the chain ids of the known networks
+export {OPERA_CHAIN_ID, TESTNET_CHAIN_ID};
 
 // CLA specified service class used by Fantom Ledger application
-const CLA = 0xe0;
+export const CLA = 0xe0;
 
 // INS specifies instructions supported by the Fantom Ledger app
-const INS = {
+export const INS = {
     GET_VERSION: 0x01,
     GET_PUBLIC_KEY: 0x10,
     GET_ADDRESS: 0x11,
-    SIGN_TRANSACTION: 0x20
+    SIGN_TRANSACTION: 0x20,
+    SIGN_PERSONAL_MESSAGE: 0x21,
+    SIGN_TYPED_DATA: 0x22
 };
 
 // SIGN_STATE represents the state of transaction data processing
 // on the Ledger device
-const SIGN_STATE = {
+export const SIGN_STATE = {
     COLLECT: 0x02,
     FINALIZE: 0x04
 };
 
+// SIGN_PROGRESS represents the stages of a signing session
+// reported to the progress callback of the signing options
+export const SIGN_PROGRESS = {
+    INIT: "init",
+    CHUNK: "chunk",
+    CONFIRM: "confirm",
+    FINALIZED: "finalized"
+};
+
+// APP_FEATURES represents features of the Fantom Ledger app served by a dedicated
+// instruction; an app without the feature rejects the instruction as unknown
+export const APP_FEATURES = {
+    // EIP-191 personal message signing
+    messageSigning: {name: "personal message signing", ins: INS.SIGN_PERSONAL_MESSAGE},
+    // EIP-712 typed structured data signing
+    typedData: {name: "typed data signing", ins: INS.SIGN_TYPED_DATA}
+};
+
+// capabilitiesCache holds the features the app behind the transport
+// is known to support, or not, by the feature name
+const capabilitiesCache = new WeakMap();
+
+// APP_NOT_OPEN_STATUS_CODES represents status words the device responds with
+// if the Fantom app is not open, e.g. from the dashboard, or from another app
+const APP_NOT_OPEN_STATUS_CODES = [0x6511, 0x6D00, 0x6E00];
+
+// DEVICE_LOCKED_STATUS_CODE represents status word of the locked device
+// responding outside of the Fantom app
+const DEVICE_LOCKED_STATUS_CODE = 0x5515;
+
+// BIP32_CHAIN_CODE_LENGTH represents the length of BIP32 chain code in bytes
+const BIP32_CHAIN_CODE_LENGTH = 32;
+
+// DEFAULT_DISCOVERY_GAP_LIMIT represents the number of consecutive unused addresses
+// after which the BIP44 account discovery stops scanning an account
+const DEFAULT_DISCOVERY_GAP_LIMIT = 20;
+
 // MAX_APDU_CHUNK_LENGTH represents the max amount of bytes we send
 // to the device in one chunk
 const MAX_APDU_CHUNK_LENGTH = 150;
@@ -65,7 +141,13 @@ export const ErrorCodes = {
     ERR_REJECTED_BY_POLICY: 0x6E08,
 
     // Device is locked.
-    ERR_DEVICE_LOCKED: 0x6E09
+    ERR_DEVICE_LOCKED: 0x6E09,
+
+    // Typed data hashes are not valid.
+    ERR_INVALID_TYPED_DATA: 0x6E0A,
+
+    // Typed data signing is disabled on the device.
+    ERR_TYPED_DATA_DISABLED: 0x6E0B
 };
 
 // ErrorMessages exports list of english error messages associated
@@ -97,6 +179,74 @@ export const ErrorMessages = {
 
     // Device is locked.
     [ErrorCodes.ERR_DEVICE_LOCKED]: "Can not proceed with the instruction, please unlock the device.",
+
+    // Typed data hashes are not valid.
+    [ErrorCodes.ERR_INVALID_TYPED_DATA]: "Typed data sent to the device has not been recognized.",
+
+    // Typed data signing is disabled on the device.
+    [ErrorCodes.ERR_TYPED_DATA_DISABLED]: "Typed data signing is disabled, please enable it in the Fantom app settings.",
+};
+
+/**
+ * toQuantityBuffer converts numeric transaction field to a buffer
+ * with leading zeros removed as required by the RLP encoding.
+ *
+ * @param {number|string|BN|Buffer|undefined} value
+ * @returns {Buffer}
+ */
+const toQuantityBuffer = (value) => {
+    return unpadBuffer(toBuffer(value));
+};
+
+/**
+ * parseChainId converts chain id given as a number, hex string with "0x" prefix,
+ * or decimal string to a number.
+ *
+ * @param {number|string} chainId
+ * @returns {number}
+ */
+const parseChainId = (chainId) => {
+    let id = chainId;
+    if ("string" === typeof chainId) {
+        id = ("0x" === chainId.slice(0, 2).toLowerCase()) ? parseInt(chainId.slice(2), 16) : parseInt(chainId, 10);
+    }
+
+    // the chain id must be a positive integer
+    Assert.isInteger(id, "chainId");
+    Assert.check(id > 0, "positive", "chainId", id);
+    return id;
+};
+
+/**
+ * toBip32Path converts BIP32 path given either as an array of elements,
+ * or as a path string, e.g. "m/44'/60'/0'/0/0", to the array of elements.
+ *
+ * @param {[number]|string} path
+ * @returns {[number]}
+ */
+const toBip32Path = (path) => {
+    return ("string" === typeof path) ? parseBip32Path(path) : path;
+};
+
+/**
+ * accessListToBuffer converts EIP-2930 access list into its RLP ready
+ * nested array structure of buffers.
+ *
+ * @param {[{address: string, storageKeys: [string]}]|undefined} accessList
+ * @returns {[]}
+ */
+const accessListToBuffer = (accessList) => {
+    // no access list means empty list
+    if (undefined === accessList || null === accessList) {
+        return [];
+    }
+
+    Assert.isArray(accessList);
+    return accessList.map(item => {
+        Assert.isObject(item);
+        Assert.isArray(item.storageKeys);
+        return [toBuffer(item.address), item.storageKeys.map(key => toBuffer(key))];
+    });
 };
 
 /**
@@ -114,6 +264,57 @@ export const getErrorMessage = (status) => {
 };
 
 
+// typed errors of the API bridge
+export {
+    ERROR_CODES,
+    LedgerError,
+    LedgerUserRejectedError,
+    LedgerAppNotOpenError,
+    LedgerLockedError,
+    LedgerAppVersionError,
+    InvalidTransactionDataError,
+    InvalidPathError,
+    ValidationError,
+    SignatureVerificationError,
+    SigningCancelled
+};
+
+/**
+ * toLedgerError converts the status word received from the device
+ * into the corresponding typed API bridge error.
+ *
+ * @param {number} statusCode The status word received.
+ * @param {number} ins The instruction of the failed APDU.
+ * @param {Error} cause The original transport error.
+ * @returns {LedgerError}
+ */
+const toLedgerError = (statusCode, ins, cause = undefined) => {
+    const details = {statusCode, ins, cause};
+
+    // the Fantom app is not there to respond
+    if (APP_NOT_OPEN_STATUS_CODES.includes(statusCode)) {
+        return new LedgerAppNotOpenError("Ledger device: Please open the Fantom application on the device.", details);
+    }
+
+    // known status words with dedicated error types
+    const message = `Ledger device: ${getErrorMessage(statusCode)}`;
+    switch (statusCode) {
+        case ErrorCodes.ERR_REJECTED_BY_USER:
+            return new LedgerUserRejectedError(message, details);
+        case ErrorCodes.ERR_DEVICE_LOCKED:
+        case DEVICE_LOCKED_STATUS_CODE:
+            return new LedgerLockedError(message, details);
+        case ErrorCodes.ERR_INVALID_DATA:
+            if (INS.SIGN_TRANSACTION === ins) {
+                return new InvalidTransactionDataError(message, details);
+            }
+    }
+
+    // the code is derived from the status name, if known
+    const name = Object.keys(ErrorCodes).find(key => ErrorCodes[key] === statusCode);
+    return new LedgerError(message, {...details, code: name ? name.replace(/^ERR_/, "") : undefined});
+};
+
 /**
  * convertError implements transport layer error message conversion
  * DWE
@@ -129,13 +330,76 @@ const wrapConvertError = fn => async (...args) => {
         return await fn(...args);
     } catch (e) {
         if (e && e.statusCode) {
-            e.message = `Ledger device: ${getErrorMessage(e.statusCode)}`;
+            // the instruction is the second argument of the transport send call
+            throw toLedgerError(e.statusCode, args[1], e);
         }
         throw e;
     }
 };
 
 
+/**
+ * makeCancellation creates a signing session guard for the given signing options.
+ * The guard rejects wrapped promises with SigningCancelled error once the abort signal
+ * fires, or the timeout elapses; whatever happens first.
+ *
+ * @param {{signal: AbortSignal|undefined, timeout: number|undefined}} options
+ * @returns {{guard: function(Promise): Promise, dispose: function}}
+ */
+const makeCancellation = ({signal, timeout} = {}) => {
+    let timer = null;
+    let onAbort = null;
+
+    // the cancellation promise never resolves, it may only reject
+    const cancelled = new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(new SigningCancelled("aborted"));
+        }
+        if (signal) {
+            onAbort = () => reject(new SigningCancelled("aborted"));
+            signal.addEventListener("abort", onAbort);
+        }
+        if (undefined !== timeout) {
+            Assert.isUint32(timeout, "timeout");
+            timer = setTimeout(() => reject(new SigningCancelled("timeout")), timeout);
+        }
+    });
+
+    // the rejection is delivered through guarded promises only
+    cancelled.catch(() => null);
+
+    return {
+        guard: (promise) => Promise.race([promise, cancelled]),
+        dispose: () => {
+            clearTimeout(timer);
+            if (onAbort) {
+                signal.removeEventListener("abort", onAbort);
+            }
+        }
+    };
+};
+
+/**
+ * notifyProgress reports the signing session stage to the progress callback, if any.
+ * Failing callback does not interrupt the signing session.
+ *
+ * @param {function|undefined} onProgress
+ * @param {string} stage The session stage, see SIGN_PROGRESS.
+ * @param {number} chunk Number of payload chunks transferred to the device so far.
+ * @param {number} chunks Total number of payload chunks.
+ */
+const notifyProgress = (onProgress, stage, chunk, chunks) => {
+    if ("function" !== typeof onProgress) {
+        return;
+    }
+
+    try {
+        onProgress({stage, chunk, chunks});
+    } catch (e) {
+        // the progress reporting is informative only
+    }
+};
+
 // FantomNano implements high level Fantom Nano Ledger HW wallet communication
 export default class FantomNano {
     // transport represents Ledger hw-transport layer
@@ -148,25 +412,61 @@ export default class FantomNano {
     // methods is an array of methods supported by the API bridge
     methods;
 
-    // sigOptions holds chain tx signature building options
-    sigOptions;
+    // sigOptions holds chain tx signature building options by the chain id
+    sigOptions = {};
+
+    // chainId represents the chain id of the network the bridge is configured for;
+    // if not set, the chain id of each signed transaction is used
+    chainId;
+
+    // pathScheme represents the function mapping account and address identifiers
+    // to the BIP32 path of the key; see PATH_SCHEMES for available layouts
+    pathScheme = PATH_SCHEMES.bip44;
+
+    // verifySignatures enables verification of signatures received from the device
+    // against the address derived for the signing BIP32 path
+    verifySignatures = false;
 
     /**
      * Construct new FantomNano API bridge
      *
      * @param {Transport} transport
      * @param {string} ledgerAppKey APDU proxy key of the Ledger application
+     * @param {{chainId: number|string|undefined, verifySignatures: boolean|undefined, pathScheme: string|function|undefined, recorder: ApduRecorder|undefined}} options
+     *        Bridge options; the chainId restricts signing to transactions of the given network, the verifySignatures
+     *        makes the bridge check each signature against the address of the signing key, the pathScheme
+     *        is a name of a PATH_SCHEMES layout, or a custom function mapping account and address ids to a BIP32 path,
+     *        the recorder records all the APDU exchanged with the device.
      */
-    constructor(transport, ledgerAppKey = "FTM") {
+    constructor(transport, ledgerAppKey = "FTM", options = {}) {
         // keep the transport
         this.transport = transport;
 
+        // configured network, if any
+        if (undefined !== options.chainId && null !== options.chainId) {
+            this.chainId = parseChainId(options.chainId);
+        }
+
+        // signature verification
+        this.verifySignatures = (true === options.verifySignatures);
+
+        // derivation path layout
+        if ("function" === typeof options.pathScheme) {
+            this.pathScheme = options.pathScheme;
+        } else if (undefined !== options.pathScheme) {
+            Assert.check(PATH_SCHEMES.hasOwnProperty(options.pathScheme), "pathScheme", "options.pathScheme", options.pathScheme);
+            this.pathScheme = PATH_SCHEMES[options.pathScheme];
+        }
+
         // set the list of supported methods
         this.methods = [
             "getVersion",
+            "getCapabilities",
             "deriveAddress",
             "derivePublicKey",
-            "signTransaction"
+            "signTransaction",
+            "signPersonalMessage",
+            "signTypedData"
         ];
 
         // wrap local methods within the transport layer
@@ -180,8 +480,10 @@ export default class FantomNano {
         this.transport.decorateAppAPIMethods(this, this.methods, ledgerAppKey);
 
         // reference send function locally and wrap it in a status code
-        // conversion wrapper so exceptions have app-aware error messages
-        this.send = wrapConvertError(this.transport.send);
+        // conversion wrapper so exceptions have app-aware error messages;
+        // the recorder, if any, gets the raw exchange before the conversion
+        const send = options.recorder ? options.recorder.wrap(this.transport.send) : this.transport.send;
+        this.send = wrapConvertError(send);
     }
 
     /**
@@ -190,6 +492,17 @@ export default class FantomNano {
      * @returns {Promise<Version>}
      */
     async getVersion() {
+        return this.requestVersion();
+    }
+
+    /**
+     * requestVersion obtains Fantom Nano Ledger application version from the device.
+     * It's not wrapped by the transport API lock so it can be used internally
+     * by other API methods.
+     *
+     * @returns {Promise<Version>}
+     */
+    async requestVersion() {
         const p1 = 0x00;
         const p2 = 0x00;
         const data = Buffer.alloc(0);
@@ -201,7 +514,7 @@ export default class FantomNano {
 
             // make sure the response is of expected length
             // we expect {MAJOR}.{MINOR}.{PATCH}.{FLAG}
-            Assert.check(4 === data.length);
+            Assert.check(4 === data.length, "responseLength", "response.length", data.length);
 
             // expand the values
             const [major, minor, patch, flag] = data;
@@ -215,7 +528,66 @@ export default class FantomNano {
     }
 
     /**
-     * getBip32Path creates a valid BIP32/44 path for given account and address.
+     * getCapabilities resolves the app version and the features of the Fantom Ledger app installed
+     * on the device. The app does not announce its features; a feature is known to be supported (true),
+     * or not (false), once the app responded to its instruction, and it's null until then. The features
+     * learned are kept per transport; use the refresh flag to forget them, e.g. after the app upgrade.
+     *
+     * @param {boolean} refresh Forget the features learned from the app responses.
+     * @returns {Promise<{version: Version, isDevelopment: boolean, messageSigning: boolean|null, typedData: boolean|null}>}
+     */
+    async getCapabilities(refresh = false) {
+        if (refresh) {
+            capabilitiesCache.delete(this.transport);
+        }
+
+        const version = await this.requestVersion();
+        const known = capabilitiesCache.get(this.transport) || {};
+        return Object.keys(APP_FEATURES).reduce((all, feature) => {
+            all[feature] = known.hasOwnProperty(feature) ? known[feature] : null;
+            return all;
+        }, {version, isDevelopment: 0 !== version.flags.isDevelopment});
+    }
+
+    /**
+     * callFeature executes the device call of the given feature. If the app rejects the instruction
+     * of the feature as unknown, LedgerAppVersionError is thrown and the following calls of the feature
+     * fail early without reaching the device.
+     *
+     * @param {string} feature Name of the feature, see APP_FEATURES.
+     * @param {function(): Promise<*>} call The device call of the feature.
+     * @returns {Promise<*>}
+     */
+    async callFeature(feature, call) {
+        Assert.check(APP_FEATURES.hasOwnProperty(feature), "appFeature", "feature", feature);
+        const {name, ins} = APP_FEATURES[feature];
+
+        // the app is already known not to support the feature
+        const known = capabilitiesCache.get(this.transport) || {};
+        if (false === known[feature]) {
+            throw new LedgerAppVersionError(name, {ins});
+        }
+
+        try {
+            const res = await call();
+            capabilitiesCache.set(this.transport, {...known, [feature]: true});
+            return res;
+        } catch (e) {
+            // any other status word means the app knows the instruction
+            if (e && e.statusCode && e.ins === ins) {
+                const supported = (ErrorCodes.ERR_UNKNOWN_INS !== e.statusCode);
+                capabilitiesCache.set(this.transport, {...known, [feature]: supported});
+                if (!supported) {
+                    throw new LedgerAppVersionError(name, {statusCode: e.statusCode, ins, cause: e});
+                }
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * getBip32Path creates a valid BIP32/44 path for given account and address
+     * using the derivation path scheme configured on the bridge.
      *
      * @param {number} accountId
      * @param {number} addressId
@@ -223,11 +595,11 @@ export default class FantomNano {
      */
     getBip32Path(accountId, addressId) {
         // make sure the account and address make sense
-        Assert.isUint8(accountId);
-        Assert.isUint32(addressId);
+        Assert.isUint32(accountId, "accountId");
+        Assert.isUint32(addressId, "addressId");
 
         // make the path and validate it
-        const path = [44 + BIP32_HARDENED, 60 + BIP32_HARDENED, accountId + BIP32_HARDENED, 0, addressId];
+        const path = toBip32Path(this.pathScheme(accountId, addressId));
         Assert.isValidBip32Path(path);
 
         return path;
@@ -260,9 +632,9 @@ export default class FantomNano {
      */
     async listAddresses(accountId = 0, firstAddressId = 0, length = 5) {
         const result = [];
-        Assert.isUint32(firstAddressId);
-        Assert.isUint8(length);
-        Assert.check(length > 0);
+        Assert.isUint32(firstAddressId, "firstAddressId");
+        Assert.isUint8(length, "length");
+        Assert.check(length > 0, "positive", "length", length);
 
         // build list of paths
         const paths = [];
@@ -291,6 +663,90 @@ export default class FantomNano {
         return result;
     }
 
+    /**
+     * discoverAccounts walks the BIP44 accounts and their address indexes and finds
+     * addresses already used on the chain, the same way other wallets restore their
+     * accounts from a seed. The usage is resolved by the given async predicate,
+     * e.g. a nonce, or a balance lookup against a Web3 provider.
+     *
+     * Each account is scanned until gapLimit consecutive unused addresses are found.
+     * The discovery stops on the first account with no used address at all, or after the last
+     * account the configured path scheme is able to derive, e.g. Ledger Live layout has a single one.
+     *
+     * @param {{gapLimit: number, isUsed: function(string): Promise<boolean>, maxAccounts: number}} options
+     * @returns {Promise<{used: [{accountId: number, addressId: number, address: string}], accounts: [], next: {}}>}
+     */
+    async discoverAccounts({gapLimit = DEFAULT_DISCOVERY_GAP_LIMIT, isUsed, maxAccounts = 256} = {}) {
+        Assert.check("function" === typeof isUsed, "isFunction", "isUsed", isUsed);
+        Assert.isUint32(gapLimit, "gapLimit");
+        Assert.check(gapLimit > 0, "positive", "gapLimit", gapLimit);
+        Assert.isInteger(maxAccounts, "maxAccounts");
+        Assert.check(maxAccounts > 0 && maxAccounts <= 256, "accountRange", "maxAccounts", maxAccounts);
+
+        const accounts = [];
+        for (let accountId = 0; accountId < maxAccounts; accountId++) {
+            // scan addresses of the account until we hit the gap limit
+            const used = [];
+            const addresses = [];
+            let gap = 0;
+            for (let addressId = 0; gap < gapLimit; addressId++) {
+                const address = await this.getAddress(accountId, addressId, false);
+                addresses.push(address);
+
+                if (await isUsed(address)) {
+                    used.push({accountId, addressId, address});
+                    gap = 0;
+                } else {
+                    gap++;
+                }
+            }
+
+            // unused account ends the discovery; the first account is always
+            // reported so we have the fresh address available
+            if (0 === used.length && 0 < accountId) {
+                break;
+            }
+
+            // the next fresh address follows the last used one
+            const nextId = (0 < used.length) ? used[used.length - 1].addressId + 1 : 0;
+            accounts.push({
+                accountId,
+                used,
+                next: {accountId, addressId: nextId, address: addresses[nextId]}
+            });
+
+            // no used address on the first account means there is nothing to discover
+            if (0 === used.length || !this.hasAccount(accountId + 1)) {
+                break;
+            }
+        }
+
+        // the next fresh address is taken from the last active account
+        return {
+            used: accounts.reduce((all, acc) => all.concat(acc.used), []),
+            accounts,
+            next: accounts[accounts.length - 1].next
+        };
+    }
+
+    /**
+     * hasAccount checks if the configured path scheme is able to derive keys of the given account.
+     *
+     * @param {number} accountId Zero based account identifier.
+     * @returns {boolean}
+     */
+    hasAccount(accountId) {
+        try {
+            this.getBip32Path(accountId, 0);
+            return true;
+        } catch (e) {
+            if (e instanceof ValidationError) {
+                return false;
+            }
+            throw e;
+        }
+    }
+
     /**
      * getPublicKey derives Fantom wallet public key for the given account and address id.
      *
@@ -303,67 +759,252 @@ export default class FantomNano {
         return this.derivePublicKey(this.getBip32Path(accountId, addressId));
     }
 
+    /**
+     * getAccountXpub exports the public key and chain code of the parent key of all addresses
+     * of the given account, e.g. m/44'/60'/{account}'/0 for the default path scheme.
+     * Addresses of the account can be derived offline from the exported key
+     * using bip32-utils deriveAddresses() without further interaction with the device.
+     *
+     * Path schemes with hardened address element, e.g. the Ledger Live layout,
+     * do not allow offline derivation and are rejected.
+     *
+     * @param {number} accountId Zero based account identifier.
+     * @returns {Promise<{bip32Path: [number], publicKey: Buffer, chainKey: Buffer}>}
+     */
+    async getAccountXpub(accountId = 0) {
+        // addresses of the account must share the parent and differ in non-hardened last element only
+        const first = this.getBip32Path(accountId, 0);
+        const second = this.getBip32Path(accountId, 1);
+        const bip32Path = first.slice(0, -1);
+        Assert.check(first.length === second.length, "sharedParentPath", "bip32Path", second);
+        Assert.check(bip32Path.every((el, i) => el === second[i]), "sharedParentPath", "bip32Path", second);
+        Assert.check(second[second.length - 1] < BIP32_HARDENED, "nonHardenedIndex", `bip32Path[${second.length - 1}]`, second[second.length - 1]);
+
+        // derive the parent key; the chain code is required for the offline derivation
+        const key = await this.derivePublicKey(bip32Path);
+        Assert.check(key.chainKey.length === BIP32_CHAIN_CODE_LENGTH, "chainKeyLength", "chainKey", key.chainKey.length);
+
+        return {bip32Path, ...key};
+    }
+
+    /**
+     * getTransactionChainId resolves the chain id the given transaction is signed for.
+     * The transaction chain id is used if available, the configured network chain id
+     * otherwise, and the Fantom Opera main chain id if neither is set. If the bridge
+     * is configured for a network, transactions of other networks are rejected.
+     *
+     * @param {{}} tx
+     * @return {number}
+     */
+    getTransactionChainId(tx) {
+        // the chain id of the transaction
+        let chainId;
+        if ("object" === typeof tx && tx.hasOwnProperty("raw") && "function" === typeof tx.getChainId) {
+            chainId = tx.getChainId();
+        } else if (undefined !== tx.chainId && null !== tx.chainId) {
+            chainId = parseChainId(tx.chainId);
+        }
+
+        // no chain id on the transaction; use the configured one
+        if (undefined === chainId) {
+            return (undefined !== this.chainId) ? this.chainId : FANTOM_CHAIN_ID;
+        }
+
+        // make sure the transaction belongs to the configured network
+        if (undefined !== this.chainId && chainId !== this.chainId) {
+            throw new InvalidTransactionDataError(`Transaction chain id ${chainId} does not match the configured network chain id ${this.chainId}.`);
+        }
+
+        return chainId;
+    }
+
     /**
      * getTransactionSignatureOptions builds and returns chain signature options
      * The structure is used on transaction signing process to handle chain id related
      * processing. See EIP155 for the details on mitigating replay attacks through
      * adding chain id to the signed transaction hash.
      *
+     * @param {number} chainId Chain id of the network; Fantom Opera main chain if not set.
      * @return {{}}
      */
-    getTransactionSignatureOptions() {
+    getTransactionSignatureOptions(chainId = FANTOM_CHAIN_ID) {
         // create the signature options structure if needed
-        if ("object" !== typeof this.sigOptions) {
-            this.sigOptions = {
+        if ("object" !== typeof this.sigOptions[chainId]) {
+            this.sigOptions[chainId] = {
                 common: Common.forCustomChain(
                     'mainnet',
                     {
                         name: 'custom-network',
-                        networkId: 1,
-                        chainId: FANTOM_CHAIN_ID
+                        networkId: chainId,
+                        chainId: chainId
                     },
                     'petersburg'
                 )
             };
         }
 
-        return this.sigOptions;
+        return this.sigOptions[chainId];
+    }
+
+    /**
+     * getTypedTransactionFields builds the list of RLP ready fields of an EIP-2718
+     * typed transaction payload. The signature fields are not included.
+     *
+     * @param {{}} tx
+     * @param {number} txType
+     * @return {[]}
+     */
+    getTypedTransactionFields(tx, txType) {
+        // typed transactions carry the chain id inside the payload
+        const chainId = toQuantityBuffer(this.getTransactionChainId(tx));
+
+        switch (txType) {
+            case TX_TYPE.ACCESS_LIST:
+                // EIP-2930: [chainId, nonce, gasPrice, gasLimit, to, value, data, accessList]
+                return [
+                    chainId,
+                    toQuantityBuffer(tx.nonce),
+                    toQuantityBuffer(tx.gasPrice),
+                    toQuantityBuffer(tx.gasLimit),
+                    toBuffer(tx.to),
+                    toQuantityBuffer(tx.value),
+                    toBuffer(tx.data),
+                    accessListToBuffer(tx.accessList)
+                ];
+            case TX_TYPE.DYNAMIC_FEE:
+                // EIP-1559: [chainId, nonce, maxPriorityFeePerGas, maxFeePerGas, gasLimit, to, value, data, accessList]
+                return [
+                    chainId,
+                    toQuantityBuffer(tx.nonce),
+                    toQuantityBuffer(tx.maxPriorityFeePerGas),
+                    toQuantityBuffer(tx.maxFeePerGas),
+                    toQuantityBuffer(tx.gasLimit),
+                    toBuffer(tx.to),
+                    toQuantityBuffer(tx.value),
+                    toBuffer(tx.data),
+                    accessListToBuffer(tx.accessList)
+                ];
+            default:
+                throw new InvalidTransactionDataError(`Transaction type ${txType} is not supported.`);
+        }
     }
 
     /**
      * getRawTransaction constructs raw transaction RLP buffer for sending
      * to the ledger device for signature derivation
      *
+     * Typed transactions are serialized into EIP-2718 envelope, e.g. the type
+     * byte followed by the RLP encoded transaction payload.
+     *
      * @param {{}} tx
      * @return {Buffer}
      */
     getRawTransaction(tx) {
+        // typed transaction envelope?
+        const txType = getTransactionType(tx);
+        if (TX_TYPE.LEGACY !== txType) {
+            return Buffer.concat([
+                Buffer.from([txType]),
+                encode(this.getTypedTransactionFields(tx, txType))
+            ]);
+        }
+
         // prepare the transaction buffer for sending
-        const txRaw = new Transaction(tx, this.getTransactionSignatureOptions());
+        const txRaw = new Transaction(tx, this.getTransactionSignatureOptions(this.getTransactionChainId(tx)));
 
         // get the main set of data and add chain id
         // so we are EIP155 compliant. It's a basic mitigation
         // to replay attacks.
         const items = txRaw.raw.slice(0, 6).concat([
             toBuffer(txRaw.getChainId()),
-            stripZeros(toBuffer(0)),
-            stripZeros(toBuffer(0)),
+            toQuantityBuffer(0),
+            toQuantityBuffer(0),
         ]);
 
         return encode(items);
     }
 
     /**
-     * signTransaction signs specified transaction on the Ledger device and return signed transaction data.
+     * getSignedTypedTransaction builds the signed EIP-2718 typed transaction
+     * from the transaction details and the signature received from the device.
      *
-     * @param {number} accountId Zero based sending account identifier.
-     * @param {number} addressId Zero based sending address identifier.
-     * @param {{}} tx Transaction details. Please check the documentation for the structure.
-     * @returns {Promise<{}>}
+     * @param {{}} tx
+     * @param {number} txType
+     * @param {{v: number, r: Buffer, s: Buffer}} sig
+     * @return {{}}
      */
-    async signTransaction(accountId, addressId, tx) {
-        // validate transaction
-        Assert.isValidTransaction(tx);
+    getSignedTypedTransaction(tx, txType, sig) {
+        // typed transactions use y-parity of the signature instead of <v>;
+        // the device gives us the legacy base <v> value (27 + parity)
+        const yParity = (sig.v >= 27 ? sig.v - 27 : sig.v);
+        Assert.check(yParity === 0 || yParity === 1, "yParity", "signature.v", sig.v);
+
+        // make the signed envelope
+        const raw = Buffer.concat([
+            Buffer.from([txType]),
+            encode(this.getTypedTransactionFields(tx, txType).concat([
+                toQuantityBuffer(yParity),
+                toQuantityBuffer(sig.r),
+                toQuantityBuffer(sig.s)
+            ]))
+        ]);
+
+        return {
+            v: yParity,
+            r: sig.r,
+            s: sig.s,
+            tx: {
+                ...tx,
+                type: txType,
+                chainId: this.getTransactionChainId(tx),
+                v: yParity,
+                r: sig.r,
+                s: sig.s
+            },
+            raw: raw
+        };
+    }
+
+    /**
+     * signPayload streams the given payload to the device for signing using the specified
+     * instruction and returns the signature parts received from the device.
+     *
+     * The signing protocol has three steps. The BIP32 path of the signing key, optionally followed
+     * by an instruction specific init data, is sent first. The payload is transferred next in chunks
+     * until the device signals it has all the data it needs. The signature is requested last and it's
+     * returned after the user confirms the action on the device.
+     *
+     * The signing session can be cancelled by the abort signal, or the timeout of the signing options.
+     * If cancelled before the signature is requested, the device signing state is reset before
+     * SigningCancelled error is thrown. If the signature request is already waiting for the user
+     * confirmation, the device can not be reset remotely and the user has to reject it on the device.
+     * Either way, the error is thrown only after the device answers the APDU in flight, so the transport
+     * lock is never released while the device still processes a request of the cancelled session.
+     *
+     * The progress callback of the signing options is called with {stage, chunk, chunks} when the init
+     * is accepted, after each chunk transferred, when the device starts waiting for the user confirmation,
+     * and when the signature is received.
+     *
+     * @param {number} ins Signing instruction to be used.
+     * @param {[]} bip32Path BIP32 path of the signing key.
+     * @param {Buffer} payload Data to be signed.
+     * @param {Buffer} initData Additional data sent with the signing init request.
+     * @param {string} subject Name of the payload used in error messages.
+     * @param {{signal: AbortSignal|undefined, timeout: number|undefined, onProgress: function|undefined}} options
+     *        Signing session options.
+     * @returns {Promise<{v: number, r: Buffer, s: Buffer}>}
+     */
+    async signPayload(ins, bip32Path, payload, initData = Buffer.alloc(0), subject = "Transaction", options = {}) {
+        // the session guard and the last exchange sent to the device
+        const session = makeCancellation(options);
+        let pending = Promise.resolve();
+        let finalizing = false;
+
+        // send the APDU to the device unless the session has been cancelled
+        const send = (p1, p2, data) => {
+            pending = this.send(CLA, ins, p1, p2, data);
+            return session.guard(pending);
+        };
 
         // step 1: Init signing process on the device
         const step1Init = async (bip32Path) => {
@@ -374,34 +1015,34 @@ export default class FantomNano {
             // what params will be sent
             const p1 = 0x00;
             const p2 = 0x00;
-            const data = bip32PathToBuffer(bip32Path);
+            const data = Buffer.concat([bip32PathToBuffer(bip32Path), initData]);
 
             // execute the call
-            return this.send(CLA, INS.SIGN_TRANSACTION, p1, p2, data).then(response => {
+            return send(p1, p2, data).then(response => {
                 // extract version data
                 const data = stripReturnCodeFromResponse(response);
 
                 // the data should be actually empty
-                Assert.check(data.length === 0);
+                Assert.check(data.length === 0, "responseLength", "response.length", data.length);
                 return true;
             });
         };
 
-        // step 2: transfer the transaction data to the device
+        // step 2: transfer the payload data to the device
         const step2TxTransfer = async (chunk) => {
             // what params will be sent
             const p1 = 0x01;
             const p2 = 0x00;
 
-            // send the RLP encoded transaction chunk to the device
-            return await this.send(CLA, INS.SIGN_TRANSACTION, p1, p2, chunk).then(response => {
+            // send the payload chunk to the device
+            return await send(p1, p2, chunk).then(response => {
                 // extract version data
                 const data = stripReturnCodeFromResponse(response);
 
                 // the data should contain current processing stage
                 // it's either SIGN_STAGE_COLLECT (0x02), or SIGN_STAGE_FINALIZE (0x04)
-                Assert.check(data.length === 1);
-                Assert.check(data[0] === SIGN_STATE.COLLECT || data[0] === SIGN_STATE.FINALIZE);
+                Assert.check(data.length === 1, "responseLength", "response.length", data.length);
+                Assert.check(data[0] === SIGN_STATE.COLLECT || data[0] === SIGN_STATE.FINALIZE, "signState", "response[0]", data[0]);
 
                 // return the signature state
                 return data[0];
@@ -415,8 +1056,9 @@ export default class FantomNano {
             const p2 = 0x00;
             const data = Buffer.alloc(0);
 
-            // send the RLP encoded transaction chunk to the device
-            return await this.send(CLA, INS.SIGN_TRANSACTION, p1, p2, data).then(response => {
+            // request the signature from the device
+            finalizing = true;
+            return await send(p1, p2, data).then(response => {
                 // extract version data
                 const data = stripReturnCodeFromResponse(response);
 
@@ -424,7 +1066,7 @@ export default class FantomNano {
                 // 1 byte for <v> value
                 // 32 bytes for <r> value
                 // 32 bytes for <s> value
-                Assert.check(data.length === 1 + 32 + 32);
+                Assert.check(data.length === 1 + 32 + 32, "responseLength", "response.length", data.length);
 
                 // get the signature details
                 return {
@@ -442,52 +1084,107 @@ export default class FantomNano {
             const p2 = 0x00;
             const data = Buffer.alloc(0);
 
-            // send the RLP encoded transaction chunk to the device
-            return await this.send(CLA, INS.SIGN_TRANSACTION, p1, p2, data);
+            // send the empty chunk to the device
+            return await this.send(CLA, ins, p1, p2, data);
         };
 
-        // get the raw transaction data which will be transmitted for signing
-        const txBuffer = this.getRawTransaction(tx);
-
-        // make chunks of the raw transaction data which will be send to the ledger device
+        // make chunks of the payload data which will be send to the ledger device
         // we potentially have to split the data for U2F transport due to limited available packet size
         const chunks = [];
-        const parts = Math.ceil(txBuffer.length / MAX_APDU_CHUNK_LENGTH);
+        const parts = Math.ceil(payload.length / MAX_APDU_CHUNK_LENGTH);
         for (let i = 0; i < parts; i++) {
-            chunks [i] = txBuffer.slice(i * MAX_APDU_CHUNK_LENGTH, (i + 1) * MAX_APDU_CHUNK_LENGTH);
+            chunks [i] = payload.slice(i * MAX_APDU_CHUNK_LENGTH, (i + 1) * MAX_APDU_CHUNK_LENGTH);
         }
 
-        // initialize the signing process first (here we send BIP32 path for signing key derivation)
-        const ok = await step1Init(this.getBip32Path(accountId, addressId));
-        Assert.check(ok);
-
-        // transfer chunks of data one by one
-        const finalStatus = await chunks.reduce(async (previous, next) => {
-            // wait for the previous to finish
-            const res = await previous;
+        try {
+            // initialize the signing process first (here we send BIP32 path for signing key derivation)
+            const ok = await step1Init(bip32Path);
+            Assert.check(ok, "signInit", "response", ok);
+            notifyProgress(options.onProgress, SIGN_PROGRESS.INIT, 0, chunks.length);
+
+            // transfer chunks of data one by one
+            const finalStatus = await chunks.reduce(async (previous, next, index) => {
+                // wait for the previous to finish
+                const res = await previous;
+
+                // we may not need to transfer the last chunk if the Ledger already signalled that it doesn't
+                // need it, so let's test the response code and act accordingly.
+                if (SIGN_STATE.COLLECT === res) {
+                    const state = await step2TxTransfer(next);
+                    notifyProgress(options.onProgress, SIGN_PROGRESS.CHUNK, index + 1, chunks.length);
+                    return state;
+                } else {
+                    return Promise.resolve(SIGN_STATE.FINALIZE);
+                }
+            }, Promise.resolve(SIGN_STATE.COLLECT));
+
+            // make sure the ledger device is ready to sign the payload
+            // if not we have to reset the state and throw an error
+            if (finalStatus !== SIGN_STATE.FINALIZE) {
+                // reset the signing state
+                await panicResetState();
+
+                // throw an error, we already failed and trying to finalize the signature is pointless
+                const message = `${subject} data was not recognized on the Ledger device!`;
+                throw (INS.SIGN_TRANSACTION === ins) ? new InvalidTransactionDataError(message, {ins}) : new LedgerError(message, {ins});
+            }
 
-            // we may not need to transfer the last chunk if the Ledger already signalled that it doesn't
-            // need it, so let's test the response code and act accordingly.
-            if (SIGN_STATE.COLLECT === res) {
-                return step2TxTransfer(next);
-            } else {
-                return Promise.resolve(SIGN_STATE.FINALIZE);
+            // confirm signature processing on the device and request
+            // the signature data to be returned
+            notifyProgress(options.onProgress, SIGN_PROGRESS.CONFIRM, chunks.length, chunks.length);
+            const sig = await step3TxFinalize();
+            notifyProgress(options.onProgress, SIGN_PROGRESS.FINALIZED, chunks.length, chunks.length);
+            return sig;
+        } catch (e) {
+            // the session has been cancelled; the transport lock must not be released
+            // with an APDU in flight, so wait for the device to answer the last exchange
+            // and reset the device state unless it already answered the final request
+            if (e instanceof SigningCancelled) {
+                await pending.catch(() => null);
+                if (!finalizing) {
+                    await panicResetState().catch(() => null);
+                }
             }
-        }, Promise.resolve(SIGN_STATE.COLLECT));
+            throw e;
+        } finally {
+            session.dispose();
+        }
+    }
+
+    /**
+     * signTransaction signs specified transaction on the Ledger device and return signed transaction data.
+     *
+     * @param {number} accountId Zero based sending account identifier.
+     * @param {number} addressId Zero based sending address identifier.
+     * @param {{}} tx Transaction details. Please check the documentation for the structure.
+     *                 Legacy, EIP-2930 access list (type 1) and EIP-1559 dynamic fee (type 2)
+     *                 transactions are supported.
+     * @param {{signal: AbortSignal|undefined, timeout: number|undefined, onProgress: function|undefined}} options
+     *        Signing options; the signing is cancelled with SigningCancelled error if the signal aborts, or the timeout
+     *        in milliseconds elapses; the onProgress callback receives {stage, chunk, chunks} of the signing session.
+     * @returns {Promise<{}>}
+     */
+    async signTransaction(accountId, addressId, tx, options = {}) {
+        // validate transaction
+        Assert.isValidTransaction(tx);
 
-        // make sure the ledger device is ready to sign the transaction
-        // if not we have to reset the state and throw an error
-        if (finalStatus !== SIGN_STATE.FINALIZE) {
-            // reset the signing state
-            await panicResetState();
+        // resolve the network the transaction is signed for
+        const chainId = this.getTransactionChainId(tx);
 
-            // throw an error, we already failed and trying to finalize the signature is pointless
-            throw new Error("Transaction data was not recognized on the Ledger device!");
-        }
+        // get the raw transaction data which will be transmitted for signing
+        // and let the device sign it
+        const bip32Path = this.getBip32Path(accountId, addressId);
+        const txBuffer = this.getRawTransaction(tx);
+        const sig = await this.signPayload(INS.SIGN_TRANSACTION, bip32Path, txBuffer, undefined, "Transaction", options);
 
-        // confirm signature processing on the device and request
-        // the signature data to be returned
-        const sig = await step3TxFinalize();
+        // the signed hash is the hash of the payload we sent to the device
+        await this.verifySignature(bip32Path, keccak256(txBuffer), sig);
+
+        // typed transactions are finalized in the EIP-2718 envelope
+        const txType = getTransactionType(tx);
+        if (TX_TYPE.LEGACY !== txType) {
+            return this.getSignedTypedTransaction(tx, txType, sig);
+        }
 
         // add the signature to the transaction
         // please note we recover the correct <v> value from what we've got
@@ -496,16 +1193,16 @@ export default class FantomNano {
         const txFinal = new Transaction(
             {
                 ...tx,
-                v: sig.v + ((FANTOM_CHAIN_ID * 2) + 8),
+                v: sig.v + ((chainId * 2) + 8),
                 r: sig.r,
                 s: sig.s
             },
-            this.getTransactionSignatureOptions()
+            this.getTransactionSignatureOptions(chainId)
         );
 
         // return the signed tx structure with all the important details
         return {
-            v: sig.v + ((FANTOM_CHAIN_ID * 2) + 8),
+            v: sig.v + ((chainId * 2) + 8),
             r: sig.r,
             s: sig.s,
             tx: txFinal,
@@ -513,6 +1210,149 @@ export default class FantomNano {
         }
     }
 
+    /**
+     * signPersonalMessage signs specified message on the Ledger device using EIP-191 personal
+     * message format, e.g. the message is prefixed with "\x19Ethereum Signed Message:\n" and its length
+     * before being hashed and signed. Messages of any length are streamed to the device in chunks.
+     *
+     * @param {number} accountId Zero based signing account identifier.
+     * @param {number} addressId Zero based signing address identifier.
+     * @param {string|Buffer} message The message to be signed; strings are signed as UTF-8 encoded bytes.
+     * @param {{signal: AbortSignal|undefined, timeout: number|undefined, onProgress: function|undefined}} options
+     *        Signing options; the signing is cancelled with SigningCancelled error if the signal aborts, or the timeout
+     *        in milliseconds elapses; the onProgress callback receives {stage, chunk, chunks} of the signing session.
+     * @returns {Promise<{v: number, r: Buffer, s: Buffer, signature: string}>}
+     */
+    async signPersonalMessage(accountId, addressId, message, options = {}) {
+        // get the message bytes
+        const data = ("string" === typeof message) ? Buffer.from(message, "utf8") : Buffer.from(message);
+        Assert.check(0 < data.length, "positive", "message.length", data.length);
+
+        // the device needs to know the full message length upfront
+        // so it can build the EIP-191 prefix; we send it with the init request
+        const len = Buffer.alloc(4);
+        len.writeUInt32BE(data.length, 0);
+
+        // let the device sign the message
+        const bip32Path = this.getBip32Path(accountId, addressId);
+        const sig = await this.callFeature("messageSigning", () => {
+            return this.signPayload(INS.SIGN_PERSONAL_MESSAGE, bip32Path, data, len, "Message", options);
+        });
+        await this.verifySignature(bip32Path, hashPersonalMessage(data), sig);
+
+        // return the signature parts and the RPC style signature
+        // the <v> value is sent as the legacy base value (27 + parity)
+        const v = (sig.v < 27 ? sig.v + 27 : sig.v);
+        return {
+            v: v,
+            r: sig.r,
+            s: sig.s,
+            signature: toRpcSig(v, sig.r, sig.s)
+        };
+    }
+
+    /**
+     * signTypedData signs specified EIP-712 typed structured data on the Ledger device.
+     *
+     * The domain separator and the message struct hash are calculated here and only the hashes
+     * are sent to the device for signing. The device builds the final "\x19\x01" prefixed hash
+     * and signs it after the user confirms both hashes. A cancelled signing fails with SigningCancelled
+     * once the user answers the request on the device, the device can not be reset remotely.
+     *
+     * @param {number} accountId Zero based signing account identifier.
+     * @param {number} addressId Zero based signing address identifier.
+     * @param {{types: {}, domain: {}, primaryType: string, message: {}}} typedData The typed data to be signed.
+     * @param {{signal: AbortSignal|undefined, timeout: number|undefined, onProgress: function|undefined}} options
+     *        Signing options; the signing is cancelled with SigningCancelled error if the signal aborts, or the timeout
+     *        in milliseconds elapses; the onProgress callback receives {stage, chunk, chunks} of the signing session.
+     * @returns {Promise<{v: number, r: Buffer, s: Buffer, signature: string}>}
+     */
+    async signTypedData(accountId, addressId, typedData, options = {}) {
+        // calculate the hashes
+        const domainSeparator = eip712.hashDomain(typedData);
+        const structHash = eip712.hashMessage(typedData);
+
+        // what params will be sent
+        const bip32Path = this.getBip32Path(accountId, addressId);
+        const p1 = 0x00;
+        const p2 = 0x00;
+        const data = Buffer.concat([
+            bip32PathToBuffer(bip32Path),
+            domainSeparator,
+            structHash
+        ]);
+
+        // execute the call; the request waits for the user confirmation
+        // so a cancelled session can not reset the device remotely
+        const session = makeCancellation(options);
+        const sig = await this.callFeature("typedData", () => {
+            const pending = this.send(CLA, INS.SIGN_TYPED_DATA, p1, p2, data);
+            notifyProgress(options.onProgress, SIGN_PROGRESS.CONFIRM, 0, 0);
+            return session.guard(pending).then(response => {
+                // extract signature data
+                const data = stripReturnCodeFromResponse(response);
+
+                // we expect following structure
+                // 1 byte for <v> value
+                // 32 bytes for <r> value
+                // 32 bytes for <s> value
+                Assert.check(data.length === 1 + 32 + 32, "responseLength", "response.length", data.length);
+
+                // the <v> value is sent as the legacy base value (27 + parity)
+                const v = new Uint8Array(data.slice(0, 1))[0];
+                return {
+                    v: (v < 27 ? v + 27 : v),
+                    r: data.slice(1, 33),
+                    s: data.slice(33, 65)
+                };
+            }).catch(async (e) => {
+                // keep the transport lock until the device answers the request
+                if (e instanceof SigningCancelled) {
+                    await pending.catch(() => null);
+                }
+                throw e;
+            });
+        }).finally(session.dispose);
+        notifyProgress(options.onProgress, SIGN_PROGRESS.FINALIZED, 0, 0);
+
+        // the device signs the "\x19\x01" prefixed hash of both hashes
+        await this.verifySignature(bip32Path, eip712.hashTypedData(typedData), sig);
+        return {...sig, signature: toRpcSig(sig.v, sig.r, sig.s)};
+    }
+
+    /**
+     * verifySignature makes sure the signature received from the device belongs to the address
+     * derived for the signing BIP32 path. The check is done only if the signature verification
+     * is enabled on the bridge; SignatureVerificationError is thrown on a mismatch.
+     *
+     * @param {[]} bip32Path BIP32 path of the signing key.
+     * @param {Buffer} hash The signed hash.
+     * @param {{v: number, r: Buffer, s: Buffer}} sig Signature received from the device.
+     * @returns {Promise<void>}
+     */
+    async verifySignature(bip32Path, hash, sig) {
+        // verification not enabled
+        if (!this.verifySignatures) {
+            return;
+        }
+
+        // recover the signer; the device sends the base <v> value (27 + parity)
+        let recovered = null;
+        try {
+            const v = (sig.v < 27 ? sig.v + 27 : sig.v);
+            recovered = toChecksumAddress("0x" + buffer2Hex(publicToAddress(ecrecover(hash, v, sig.r, sig.s))));
+        } catch (e) {
+            // the signature is not valid at all; we report it as a mismatch below
+        }
+
+        // get the address of the signing key; we can not use the deriveAddress() here
+        // since it's locked by the transport layer while the signing call is active
+        const expected = await this.requestAddress(bip32Path, false);
+        if (null === recovered || recovered.toLowerCase() !== expected.toLowerCase()) {
+            throw new SignatureVerificationError(bip32Path, expected, recovered);
+        }
+    }
+
     /**
      * deriveAddress derives address for the given BIP32 path.
      *
@@ -520,12 +1360,26 @@ export default class FantomNano {
      * only subset of BIP32 paths with prefix "44'/60'". We don't derive
      * addresses outside of expected Fantom address space.
      *
-     * @param {[]} bip32Path
+     * @param {[]|string} bip32Path BIP32 path elements, or a path string, e.g. "m/44'/60'/0'/0/0".
      * @param {boolean} confirmAddress
      * @returns {Promise<string>}
      */
     async deriveAddress(bip32Path, confirmAddress) {
+        return this.requestAddress(bip32Path, confirmAddress);
+    }
+
+    /**
+     * requestAddress requests the address for the given BIP32 path from the device.
+     * Unlike the deriveAddress(), the call is not guarded by the transport API lock
+     * so it can be used inside other API calls.
+     *
+     * @param {[]|string} bip32Path
+     * @param {boolean} confirmAddress
+     * @returns {Promise<string>}
+     */
+    async requestAddress(bip32Path, confirmAddress) {
         // check the path for validity
+        bip32Path = toBip32Path(bip32Path);
         Assert.isValidBip32Path(bip32Path);
 
         // what params will be sent
@@ -540,17 +1394,17 @@ export default class FantomNano {
 
             // make sure the response is of expected length
             // we expect 1 byte for address length + (probably) 20 bytes address buffer
-            Assert.check(0 < data.length);
+            Assert.check(0 < data.length, "responseLength", "response.length", data.length);
 
             // get the address length
             const len = new Uint8Array(data.slice(0, 1))[0];
 
             // do we have the data we expect
-            Assert.check(0 < len);
-            Assert.check(len + 1 === data.length);
+            Assert.check(0 < len, "addressLength", "response[0]", len);
+            Assert.check(len + 1 === data.length, "responseLength", "response.length", data.length);
 
-            // return the address data as an expected hex string
-            return "0x" + buffer2Hex(data.slice(1, 1 + len));
+            // return the address data as an expected EIP-55 checksummed hex string
+            return toChecksumAddress("0x" + buffer2Hex(data.slice(1, 1 + len)));
         });
     }
 
@@ -561,11 +1415,12 @@ export default class FantomNano {
      * only subset of BIP32 paths with prefix "44'/60'". We don't derive
      * public keys outside of expected Fantom address space.
      *
-     * @param bip32Path
+     * @param {[]|string} bip32Path BIP32 path elements, or a path string, e.g. "m/44'/60'/0'/0/0".
      * @returns {Promise<{}>}
      */
     async derivePublicKey(bip32Path) {
         // check the path for validity
+        bip32Path = toBip32Path(bip32Path);
         Assert.isValidBip32Path(bip32Path);
 
         // what params will be sent
@@ -580,20 +1435,22 @@ export default class FantomNano {
 
             // make sure the response is of expected length
             // we expect 1 byte for public key length + that amount of bytes for the
-            // public key + that same amount of bytes for the chain key
-            Assert.check(0 < data.length);
+            // public key + the chain key, which is either of the same length as the key,
+            // or the standard 32 bytes BIP32 chain code
+            Assert.check(0 < data.length, "responseLength", "response.length", data.length);
 
             // get the public key length
             const len = new Uint8Array(data.slice(0, 1))[0];
 
             // do we have the data we expect?
-            // length byte + 2 x length of key bytes
-            Assert.check(1 + len + len === data.length);
+            // length byte + length of key bytes + length of chain key bytes
+            const chainLen = data.length - 1 - len;
+            Assert.check(chainLen === len || chainLen === BIP32_CHAIN_CODE_LENGTH, "chainKeyLength", "chainKey", chainLen);
 
             // return the data
             return {
                 publicKey: data.slice(1, 1 + len),
-                chainKey: data.slice(1 + len, 1 + len + len)
+                chainKey: data.slice(1 + len, 1 + len + chainLen)
             };
         });
     }
@@ -1,148 +1,121 @@
 // import needed libs
 import Web3 from "web3";
+import {Assert, withAccessList} from "./utils";
+import {resolveAmount} from "./units-utils";
+import {getMethodAbi} from "./abi-registry";
+import {OPERA_CHAIN_ID, TESTNET_CHAIN_ID, builderOptions, resolveContract} from "./networks";
 
 // ZERO_AMOUNT represents zero amount transferred on some calls.
 const ZERO_AMOUNT = '0x0';
 
-// OPERA_CHAIN_ID is the chain id used by Fantom Opera blockchain.
-const OPERA_CHAIN_ID = '0xfa';
-
-// TESTNET_CHAIN_ID is the chain id used by Fantom Opera test net.
-const TESTNET_CHAIN_ID = '0xfa2';
-
 /**
  * defiFMintDepositTokenTx creates a base transaction for sending specified
  * tokens into the fMint Collateral Pool.
  *
- * @param {string} fMintContract
+ * @param {string|null} fMintContract Address of the fMint contract; null to take it from the network.
  * @param {string} tokenAddress
- * @param {string|{BN}} amount
+ * @param {string|{BN}|{amount: string, decimals: number}} amount
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, chainId: string, to: string, value: string}}
  */
-function fMintDepositTokenTx(fMintContract, tokenAddress, amount) {
+function fMintDepositTokenTx(fMintContract, tokenAddress, amount, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: fMintAddress, chainId} = resolveContract(fMintContract, network, "fmint");
+    Assert.isAddress(tokenAddress);
+
     // create web3.js instance
     const web3 = new Web3();
 
     // make the transaction
-    return {
-        to: fMintContract,
+    return withAccessList({
+        to: fMintAddress,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "_token",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "_amount",
-                    "type": "uint256"
-                }
-            ],
-            "name": "mustDeposit",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [tokenAddress, amount]),
-        chainId: OPERA_CHAIN_ID
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("fmint", "mustDeposit"), [tokenAddress, resolveAmount(amount)]),
+        chainId: chainId || OPERA_CHAIN_ID
+    }, accessList);
 }
 
 /**
  * fMintWithdrawTokenTx creates a base transaction for pulling specified
  * tokens from the fMint Collateral Pool to lower on user's collateral if possible.
  *
- * @param {string} fMintContract
+ * @param {string|null} fMintContract Address of the fMint contract; null to take it from the network.
  * @param {string} tokenAddress
- * @param {string|{BN}} amount
+ * @param {string|{BN}|{amount: string, decimals: number}} amount
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, chainId: string, to: string, value: string}}
  */
-function fMintWithdrawTokenTx(fMintContract, tokenAddress, amount) {
+function fMintWithdrawTokenTx(fMintContract, tokenAddress, amount, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: fMintAddress, chainId} = resolveContract(fMintContract, network, "fmint");
+    Assert.isAddress(tokenAddress);
+
     // create web3.js instance
     const web3 = new Web3();
 
     // make the transaction
-    return {
-        to: fMintContract,
+    return withAccessList({
+        to: fMintAddress,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "_token",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "_amount",
-                    "type": "uint256"
-                }
-            ],
-            "name": "mustWithdraw",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [tokenAddress, amount]),
-        chainId: OPERA_CHAIN_ID
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("fmint", "mustWithdraw"), [tokenAddress, resolveAmount(amount)]),
+        chainId: chainId || OPERA_CHAIN_ID
+    }, accessList);
 }
 
 /**
  * fMintMintTokenTx creates a base transaction for minting
  * specified amount of target tokens against outstanding collateral.
  *
- * @param {string} fMintContract
+ * @param {string|null} fMintContract Address of the fMint contract; null to take it from the network.
  * @param {string} tokenAddress
- * @param {string|{BN}} amount
+ * @param {string|{BN}|{amount: string, decimals: number}} amount
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, chainId: string, to: string, value: string}}
  */
-function fMintMintTokenTx(fMintContract, tokenAddress, amount) {
+function fMintMintTokenTx(fMintContract, tokenAddress, amount, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: fMintAddress, chainId} = resolveContract(fMintContract, network, "fmint");
+    Assert.isAddress(tokenAddress);
+
     // create web3.js instance
     const web3 = new Web3();
 
     // make the transaction
-    return {
-        to: fMintContract,
+    return withAccessList({
+        to: fMintAddress,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "_token",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "_amount",
-                    "type": "uint256"
-                }
-            ],
-            "name": "mustMint",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [tokenAddress, amount]),
-        chainId: OPERA_CHAIN_ID
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("fmint", "mustMint"), [tokenAddress, resolveAmount(amount)]),
+        chainId: chainId || OPERA_CHAIN_ID
+    }, accessList);
 }
 
 /**
  * fMintMintTokenMaxTx creates a base transaction for minting
  * the highest possible amount of target tokens against outstanding collateral.
  *
- * @param {string} fMintContract
+ * @param {string|null} fMintContract Address of the fMint contract; null to take it from the network.
  * @param {string} tokenAddress
  * @param {string|{BN}|undefined} targetRatio4dec
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, chainId: string, to: string, value: string}}
  */
-function fMintMintTokenMaxTx(fMintContract, tokenAddress, targetRatio4dec) {
+function fMintMintTokenMaxTx(fMintContract, tokenAddress, targetRatio4dec, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: fMintAddress, chainId} = resolveContract(fMintContract, network, "fmint");
+    Assert.isAddress(tokenAddress);
+
     // create web3.js instance
     const web3 = new Web3();
 
@@ -155,135 +128,98 @@ function fMintMintTokenMaxTx(fMintContract, tokenAddress, targetRatio4dec) {
     }
 
     // make the transaction
-    return {
-        to: fMintContract,
+    return withAccessList({
+        to: fMintAddress,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "_token",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "_ratio",
-                    "type": "uint256"
-                }
-            ],
-            "name": "mustMintMax",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [tokenAddress, targetRatio4dec]),
-        chainId: OPERA_CHAIN_ID
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("fmint", "mustMintMax"), [tokenAddress, targetRatio4dec]),
+        chainId: chainId || OPERA_CHAIN_ID
+    }, accessList);
 }
 
 /**
  * fMintRepayTokenTx creates a base transaction for burning
  * specified amount of target tokens to unlock outstanding collateral.
  *
- * @param {string} fMintContract
+ * @param {string|null} fMintContract Address of the fMint contract; null to take it from the network.
  * @param {string} tokenAddress
- * @param {string|{BN}} amount
+ * @param {string|{BN}|{amount: string, decimals: number}} amount
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, chainId: string, to: string, value: string}}
  */
-function fMintRepayTokenTx(fMintContract, tokenAddress, amount) {
+function fMintRepayTokenTx(fMintContract, tokenAddress, amount, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: fMintAddress, chainId} = resolveContract(fMintContract, network, "fmint");
+    Assert.isAddress(tokenAddress);
+
     // create web3.js instance
     const web3 = new Web3();
 
     // make the transaction
-    return {
-        to: fMintContract,
+    return withAccessList({
+        to: fMintAddress,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "_token",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "_amount",
-                    "type": "uint256"
-                }
-            ],
-            "name": "mustRepay",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [tokenAddress, amount]),
-        chainId: OPERA_CHAIN_ID
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("fmint", "mustRepay"), [tokenAddress, resolveAmount(amount)]),
+        chainId: chainId || OPERA_CHAIN_ID
+    }, accessList);
 }
 
 /**
  * fMintRepayTokenMaxTx creates a base transaction for burning
  * maxim amount of tokens from the account debt as possible.
  *
- * @param {string} fMintContract
+ * @param {string|null} fMintContract Address of the fMint contract; null to take it from the network.
  * @param {string} tokenAddress
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, chainId: string, to: string, value: string}}
  */
-function fMintRepayTokenMaxTx(fMintContract, tokenAddress) {
+function fMintRepayTokenMaxTx(fMintContract, tokenAddress, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: fMintAddress, chainId} = resolveContract(fMintContract, network, "fmint");
+    Assert.isAddress(tokenAddress);
+
     // create web3.js instance
     const web3 = new Web3();
 
     // make the transaction
-    return {
-        to: fMintContract,
+    return withAccessList({
+        to: fMintAddress,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "_token",
-                    "type": "address"
-                }
-            ],
-            "name": "mustRepayMax",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [tokenAddress]),
-        chainId: OPERA_CHAIN_ID
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("fmint", "mustRepayMax"), [tokenAddress]),
+        chainId: chainId || OPERA_CHAIN_ID
+    }, accessList);
 }
 
 /**
  * fMintClaimRewardTx creates a base transaction for claiming
  * rewards from over-collateralized mint.
  *
- * @param {string} fMintRewardContract Address of the fMint Reward Distribution contract.
+ * @param {string|null} fMintRewardContract Address of the fMint Reward Distribution contract; null to take it from the network.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, chainId: string, to: string, value: string}}
  */
-function fMintClaimRewardTx(fMintRewardContract) {
+function fMintClaimRewardTx(fMintRewardContract, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: fMintRewardAddress, chainId} = resolveContract(fMintRewardContract, network, "fmintReward");
+
     // create web3.js instance
     const web3 = new Web3();
 
     // make the transaction
-    return {
-        to: fMintRewardContract,
+    return withAccessList({
+        to: fMintRewardAddress,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [],
-            "name": "mustRewardClaim",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, []),
-        chainId: OPERA_CHAIN_ID
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("fmint", "mustRewardClaim"), []),
+        chainId: chainId || OPERA_CHAIN_ID
+    }, accessList);
 }
 
 /**
@@ -291,28 +227,27 @@ function fMintClaimRewardTx(fMintRewardContract) {
  * to the reward distribution. Any user can initiate the reward push to start
  * earning.
  *
- * @param {string} fMintRewardContract Address of the fMint Reward Distribution contract.
+ * @param {string|null} fMintRewardContract Address of the fMint Reward Distribution contract; null to take it from the network.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, chainId: string, to: string, value: string}}
  */
-function fMintPushRewardTx(fMintRewardContract) {
+function fMintPushRewardTx(fMintRewardContract, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: fMintRewardAddress, chainId} = resolveContract(fMintRewardContract, network, "fmintReward");
+
     // create web3.js instance
     const web3 = new Web3();
 
     // make the transaction
-    return {
-        to: fMintRewardContract,
+    return withAccessList({
+        to: fMintRewardAddress,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [],
-            "name": "mustRewardPush",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, []),
-        chainId: OPERA_CHAIN_ID
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("fmint", "mustRewardPush"), []),
+        chainId: chainId || OPERA_CHAIN_ID
+    }, accessList);
 }
 
 // what we export here
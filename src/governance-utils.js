@@ -1,5 +1,8 @@
 // import needed libs
 import Web3 from 'web3';
+import {Assert, withAccessList} from "./utils";
+import {getMethodAbi} from "./abi-registry";
+import {builderOptions, resolveContract, withChainId} from "./networks";
 
 // ZERO_AMOUNT represents zero amount transferred on some calls.
 const ZERO_AMOUNT = '0x0';
@@ -9,10 +12,11 @@ const ZERO_AMOUNT = '0x0';
  * to the governance contract.
  *
  * @param {Web3} web3
- * @param {string} govAddress
+ * @param {string|null} govAddress Address of the governance contract; null to take it from the network.
  * @param {string} delegatedTo For self-delegation use the sender address.
  * @param {string|{BN}} proposalId
  * @param {[string|{BN}]} choices
+ * @param {BuilderOptions|undefined} options
  * @returns {{data: string, to: *, value: string}}
  */
 function governanceVote(
@@ -20,43 +24,27 @@ function governanceVote(
     govAddress,
     delegatedTo,
     proposalId,
-    choices
+    choices,
+    options
 ) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: governance, chainId} = resolveContract(govAddress, network, "governance");
+    Assert.isAddress(delegatedTo);
+
     // create web3 instance if needed
     if (null === web3) {
         web3 = new Web3();
     }
 
     // make the transaction
-    return {
-        to: govAddress,
+    return withAccessList(withChainId({
+        to: governance,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "delegatedTo",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "proposalID",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256[]",
-                    "name": "choices",
-                    "type": "uint256[]"
-                }
-            ],
-            "name": "vote",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [delegatedTo, proposalId, choices])
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("governance", "vote"), [delegatedTo, proposalId, choices])
+    }, chainId), accessList);
 }
 
 /**
@@ -64,47 +52,37 @@ function governanceVote(
  * a vote user previously posted towards a given proposal.
  *
  * @param {Web3} web3
- * @param {string} govAddress
+ * @param {string|null} govAddress Address of the governance contract; null to take it from the network.
  * @param {string} delegatedTo For self-delegation use the sender address.
  * @param {string|{BN}} proposalId
+ * @param {BuilderOptions|undefined} options
  * @returns {{data: string, to: *, value: string}}
  */
 function governanceCancelVote(
     web3,
     govAddress,
     delegatedTo,
-    proposalId
+    proposalId,
+    options
 ) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: governance, chainId} = resolveContract(govAddress, network, "governance");
+    Assert.isAddress(delegatedTo);
+
     // create web3 instance if needed
     if (null === web3) {
         web3 = new Web3();
     }
 
     // make the transaction
-    return {
-        to: govAddress,
+    return withAccessList(withChainId({
+        to: governance,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "delegatedTo",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "proposalID",
-                    "type": "uint256"
-                }
-            ],
-            "name": "cancelVote",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [delegatedTo, proposalId])
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("governance", "cancelVote"), [delegatedTo, proposalId])
+    }, chainId), accessList);
 }
 
 // what we export here
@@ -0,0 +1,210 @@
+/**
+ * This implements Web3 compatible provider routing transaction signing
+ * to the Fantom Ledger application. Account requests are answered from the device,
+ * transactions are completed, signed on the device and sent to the network
+ * as raw transactions; all the other calls are forwarded to the upstream provider.
+ *
+ * @author Jiri Malek <jirka.malek@gmail.com>
+ * @copyright (c) 2020, Fantom Foundation
+ * @licese MIT
+ */
+import {Assert, buffer2Hex} from "./utils";
+
+// ACCOUNTS_METHODS represents the RPC methods answered with the device addresses
+const ACCOUNTS_METHODS = ["eth_accounts", "eth_requestAccounts"];
+
+// DEFAULT_ADDRESS_COUNT represents the number of device addresses exposed by default
+const DEFAULT_ADDRESS_COUNT = 1;
+
+// LedgerProvider implements Web3 provider signing transactions on the Ledger device.
+export default class LedgerProvider {
+    // upstream represents the provider the RPC calls are forwarded to
+    upstream;
+
+    // bridge represents the FantomNano API bridge used for signing
+    bridge;
+
+    // accountId represents the device account the addresses are taken from
+    accountId = 0;
+
+    // firstAddressId represents the id of the first address exposed
+    firstAddressId = 0;
+
+    // addressCount represents the number of addresses exposed
+    addressCount = DEFAULT_ADDRESS_COUNT;
+
+    // accounts holds the list of exposed addresses once loaded from the device
+    accounts = null;
+
+    // nextId represents the id of the next JSON-RPC request sent upstream
+    nextId = 1;
+
+    /**
+     * Construct new Ledger provider
+     *
+     * @param {{request: function}|{send: function}|{sendAsync: function}} upstream The upstream provider.
+     * @param {FantomNano} bridge The Fantom Ledger API bridge.
+     * @param {{accountId: number|undefined, firstAddressId: number|undefined, addressCount: number|undefined}} options
+     *        Device account and the range of its addresses exposed by the provider.
+     */
+    constructor(upstream, bridge, options = {}) {
+        Assert.isObject(upstream);
+        Assert.isObject(bridge);
+        this.upstream = upstream;
+        this.bridge = bridge;
+
+        // exposed addresses
+        if (undefined !== options.accountId) {
+            Assert.isUint32(options.accountId);
+            this.accountId = options.accountId;
+        }
+        if (undefined !== options.firstAddressId) {
+            Assert.isUint32(options.firstAddressId);
+            this.firstAddressId = options.firstAddressId;
+        }
+        if (undefined !== options.addressCount) {
+            Assert.isUint8(options.addressCount);
+            this.addressCount = options.addressCount;
+        }
+    }
+
+    /**
+     * request implements EIP-1193 provider request.
+     *
+     * @param {{method: string, params: []|undefined}} args
+     * @returns {Promise<*>}
+     */
+    async request({method, params = []}) {
+        // accounts are provided by the device
+        if (ACCOUNTS_METHODS.includes(method)) {
+            return this.getAccounts();
+        }
+
+        // transactions are signed by the device
+        if ("eth_sendTransaction" === method) {
+            return this.sendTransaction(params[0]);
+        }
+
+        return this.forward(method, params);
+    }
+
+    /**
+     * send implements legacy Web3 1.x provider call with a callback.
+     *
+     * @param {{id: number, jsonrpc: string, method: string, params: []}} payload
+     * @param {function} callback
+     */
+    send(payload, callback) {
+        this.request(payload).then(
+            result => callback(null, {id: payload.id, jsonrpc: payload.jsonrpc || "2.0", result}),
+            error => callback(error)
+        );
+    }
+
+    /**
+     * sendAsync implements legacy Web3 provider call with a callback.
+     *
+     * @param {{id: number, jsonrpc: string, method: string, params: []}} payload
+     * @param {function} callback
+     */
+    sendAsync(payload, callback) {
+        this.send(payload, callback);
+    }
+
+    /**
+     * getAccounts loads the exposed addresses from the device.
+     *
+     * @returns {Promise<[string]>}
+     */
+    async getAccounts() {
+        if (null === this.accounts) {
+            this.accounts = await this.bridge.listAddresses(this.accountId, this.firstAddressId, this.addressCount);
+        }
+        return this.accounts;
+    }
+
+    /**
+     * sendTransaction completes the transaction, signs it on the device
+     * and sends the signed transaction to the network.
+     *
+     * @param {{}} tx The transaction as received by eth_sendTransaction.
+     * @returns {Promise<string>} Hash of the sent transaction.
+     */
+    async sendTransaction(tx) {
+        Assert.isObject(tx);
+
+        // find the device address of the sender
+        const accounts = await this.getAccounts();
+        const from = tx.from ? tx.from.toLowerCase() : accounts[0].toLowerCase();
+        const index = accounts.findIndex(addr => addr.toLowerCase() === from);
+        if (-1 === index) {
+            throw new Error(`Address ${tx.from} is not available on the Ledger device.`);
+        }
+
+        // complete the transaction and sign it
+        const signed = await this.bridge.signTransaction(this.accountId, this.firstAddressId + index, await this.fillTransaction(tx, from));
+        return this.forward("eth_sendRawTransaction", ["0x" + buffer2Hex(signed.raw)]);
+    }
+
+    /**
+     * fillTransaction adds missing nonce, gas limit, gas price and chain id
+     * to the transaction using the upstream provider.
+     *
+     * @param {{}} tx The transaction as received by eth_sendTransaction.
+     * @param {string} from The sender address.
+     * @returns {Promise<{}>}
+     */
+    async fillTransaction(tx, from) {
+        // the sender is given by the signing key; the gas is known as the gas limit to the bridge
+        const {gas, ...rest} = tx;
+        delete rest.from;
+        const filled = {value: "0x0", data: "0x", ...rest, gasLimit: tx.gasLimit || gas};
+
+        if (undefined === filled.nonce) {
+            filled.nonce = await this.forward("eth_getTransactionCount", [from, "pending"]);
+        }
+        if (undefined === filled.gasLimit) {
+            filled.gasLimit = await this.forward("eth_estimateGas", [{...rest, from}]);
+        }
+        if (undefined === filled.chainId) {
+            filled.chainId = await this.forward("eth_chainId", []);
+        }
+
+        // dynamic fee transactions don't use the gas price
+        const isDynamicFee = undefined !== filled.maxFeePerGas || undefined !== filled.maxPriorityFeePerGas;
+        if (!isDynamicFee && undefined === filled.gasPrice) {
+            filled.gasPrice = await this.forward("eth_gasPrice", []);
+        }
+
+        return filled;
+    }
+
+    /**
+     * forward sends the RPC call to the upstream provider.
+     *
+     * @param {string} method
+     * @param {[]} params
+     * @returns {Promise<*>}
+     */
+    async forward(method, params) {
+        // EIP-1193 provider
+        if ("function" === typeof this.upstream.request) {
+            return this.upstream.request({method, params});
+        }
+
+        // legacy callback based provider
+        const payload = {jsonrpc: "2.0", id: this.nextId++, method, params};
+        const send = ("function" === typeof this.upstream.sendAsync) ? this.upstream.sendAsync : this.upstream.send;
+        return new Promise((resolve, reject) => {
+            send.call(this.upstream, payload, (err, response) => {
+                if (err) {
+                    return reject(err);
+                }
+                if (response.error) {
+                    return reject(new Error(response.error.message));
+                }
+                resolve(response.result);
+            });
+        });
+    }
+}
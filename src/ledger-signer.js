@@ -0,0 +1,176 @@
+/**
+ * This implements ethers.js compatible Signer backed by the Fantom Ledger
+ * application. Transactions, including the base transactions built by this library,
+ * are signed on the device; the connected provider is used to fill missing
+ * transaction details and to send signed transactions to the network.
+ *
+ * @author Jiri Malek <jirka.malek@gmail.com>
+ * @copyright (c) 2020, Fantom Foundation
+ * @licese MIT
+ */
+import {Signer} from "@ethersproject/abstract-signer";
+import {toChecksumAddress} from "ethereumjs-util";
+import {Assert, buffer2Hex} from "./utils";
+
+// QUANTITY_FIELDS represents numeric transaction fields converted
+// from ethers BigNumber values for the API bridge
+const QUANTITY_FIELDS = ["nonce", "gasLimit", "gasPrice", "value", "maxFeePerGas", "maxPriorityFeePerGas"];
+
+// DYNAMIC_FEE_FIELDS represents EIP-1559 fee fields not known to the base ethers signer
+const DYNAMIC_FEE_FIELDS = ["maxFeePerGas", "maxPriorityFeePerGas"];
+
+/**
+ * toQuantity converts ethers numeric value to a hex string.
+ *
+ * @param {number|string|BigNumber} value
+ * @returns {string}
+ */
+const toQuantity = (value) => {
+    if ("number" === typeof value) {
+        return "0x" + value.toString(16);
+    }
+    if ("function" === typeof value.toHexString) {
+        return value.toHexString();
+    }
+    return value;
+};
+
+// LedgerSigner implements ethers Signer signing on the Ledger device;
+// sendTransaction() populating the transaction through the provider is inherited from the ethers Signer.
+export default class LedgerSigner extends Signer {
+    // bridge represents the FantomNano API bridge used for signing
+    bridge;
+
+    // provider represents the connected ethers provider, if any
+    provider;
+
+    // accountId represents the device account of the signing address
+    accountId;
+
+    // addressId represents the device address id of the signing address
+    addressId;
+
+    // address holds the signing address once derived on the device
+    address = null;
+
+    /**
+     * Construct new Ledger signer
+     *
+     * @param {FantomNano} bridge The Fantom Ledger API bridge.
+     * @param {Provider|null} provider The ethers provider to connect to.
+     * @param {{accountId: number|undefined, addressId: number|undefined}} options The signing address on the device.
+     */
+    constructor(bridge, provider = null, options = {}) {
+        super();
+
+        Assert.isObject(bridge);
+        this.bridge = bridge;
+        this.provider = provider;
+        this.accountId = (undefined !== options.accountId) ? options.accountId : 0;
+        this.addressId = (undefined !== options.addressId) ? options.addressId : 0;
+
+        // make sure the path is valid so we fail early
+        this.bridge.getBip32Path(this.accountId, this.addressId);
+    }
+
+    /**
+     * connect creates a new signer of the same address connected to the given provider.
+     *
+     * @param {Provider} provider
+     * @returns {LedgerSigner}
+     */
+    connect(provider) {
+        return new LedgerSigner(this.bridge, provider, {accountId: this.accountId, addressId: this.addressId});
+    }
+
+    /**
+     * getAddress derives the signing address on the device.
+     *
+     * @returns {Promise<string>}
+     */
+    async getAddress() {
+        if (null === this.address) {
+            const bip32Path = this.bridge.getBip32Path(this.accountId, this.addressId);
+            this.address = toChecksumAddress(await this.bridge.deriveAddress(bip32Path, false));
+        }
+        return this.address;
+    }
+
+    /**
+     * checkTransaction validates the transaction keys; the EIP-1559 fee fields
+     * are passed through since the base signer does not know them.
+     *
+     * @param {{}} transaction
+     * @returns {{}}
+     */
+    checkTransaction(transaction) {
+        const fees = {};
+        const rest = {...transaction};
+        for (const field of DYNAMIC_FEE_FIELDS) {
+            if (undefined !== rest[field]) {
+                fees[field] = rest[field];
+            }
+            delete rest[field];
+        }
+
+        // the library builders set the chain id as a hex string, ethers expects a number
+        if ("string" === typeof rest.chainId) {
+            rest.chainId = Number(rest.chainId);
+        }
+        return {...super.checkTransaction(rest), ...fees};
+    }
+
+    /**
+     * signTransaction signs the fully populated transaction on the device
+     * and returns the serialized signed transaction.
+     *
+     * @param {{}} transaction
+     * @returns {Promise<string>}
+     */
+    async signTransaction(transaction) {
+        // resolve all the transaction properties
+        const keys = Object.keys(transaction);
+        const values = await Promise.all(keys.map(key => transaction[key]));
+        const tx = keys.reduce((all, key, i) => {
+            if (undefined !== values[i] && null !== values[i]) {
+                all[key] = values[i];
+            }
+            return all;
+        }, {});
+
+        // the sender must be the signing address
+        if (undefined !== tx.from) {
+            const address = await this.getAddress();
+            if (tx.from.toLowerCase() !== address.toLowerCase()) {
+                throw new Error(`Transaction sender ${tx.from} does not match the signing address ${address}.`);
+            }
+            delete tx.from;
+        }
+
+        // convert quantities to the format expected by the bridge
+        for (const field of QUANTITY_FIELDS) {
+            if (undefined !== tx[field]) {
+                tx[field] = toQuantity(tx[field]);
+            }
+        }
+
+        // the gas price may be populated by the base signer even for dynamic fee transactions
+        if (undefined !== tx.maxFeePerGas || undefined !== tx.maxPriorityFeePerGas) {
+            delete tx.gasPrice;
+        }
+
+        const signed = await this.bridge.signTransaction(this.accountId, this.addressId, {value: "0x0", data: "0x", ...tx});
+        return "0x" + buffer2Hex(signed.raw);
+    }
+
+    /**
+     * signMessage signs the EIP-191 personal message on the device.
+     *
+     * @param {string|Buffer|Uint8Array} message
+     * @returns {Promise<string>}
+     */
+    async signMessage(message) {
+        const res = await this.bridge.signPersonalMessage(this.accountId, this.addressId, message);
+        return res.signature;
+    }
+}
@@ -0,0 +1,471 @@
+/**
+ * This implements in-process emulation of the Fantom Ledger application
+ * on top of the Ledger hw-transport layer. It's intended for testing
+ * the FantomNano API bridge without a physical Ledger device.
+ *
+ * Please do not use the mock transport with real funds, the keys
+ * are derived from the given seed in the process memory.
+ *
+ * @author Jiri Malek <jirka.malek@gmail.com>
+ * @copyright (c) 2020, Fantom Foundation
+ * @licese MIT
+ */
+import Transport from "@ledgerhq/hw-transport";
+import {HDKey} from "ethereum-cryptography/hdkey";
+import {mnemonicToSeedSync} from "ethereum-cryptography/bip39";
+import {publicKeyConvert} from "ethereum-cryptography/secp256k1";
+import {ecsign, keccak256, hashPersonalMessage, privateToAddress} from "ethereumjs-util";
+import {BIP32_HARDENED, formatBip32Path} from "./utils";
+import {CLA, INS, SIGN_STATE, ErrorCodes} from "./fantom-nano";
+
+// STATUS_OK represents the standard APDU success status word.
+const STATUS_OK = 0x9000;
+
+// APDU_HEADER_LENGTH is the length of CLA, INS, P1, P2 and Lc header of an APDU.
+const APDU_HEADER_LENGTH = 5;
+
+// DEFAULT_VERSION represents the emulated Fantom app version.
+const DEFAULT_VERSION = {major: 1, minor: 0, patch: 0, isDevelopment: false};
+
+/**
+ * MockDeviceError represents an error status word raised
+ * by the emulated device while processing an APDU.
+ */
+class MockDeviceError extends Error {
+    constructor(statusCode) {
+        super(`Mock device status 0x${statusCode.toString(16)}`);
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * fail throws the given status word from the emulated device.
+ *
+ * @param {number} statusCode
+ */
+const fail = (statusCode) => {
+    throw new MockDeviceError(statusCode);
+};
+
+/**
+ * statusBuffer encodes APDU status word into a buffer.
+ *
+ * @param {number} statusCode
+ * @returns {Buffer}
+ */
+const statusBuffer = (statusCode) => {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16BE(statusCode, 0);
+    return buf;
+};
+
+/**
+ * parseBip32Path decodes BIP32 path from the APDU payload.
+ * The path is expected to be on the beginning of the payload.
+ *
+ * @param {Buffer} data
+ * @returns {{path: [number], rest: Buffer}}
+ */
+const parseBip32Path = (data) => {
+    // do we have the path length?
+    if (1 > data.length) {
+        fail(ErrorCodes.ERR_INVALID_DATA);
+    }
+
+    // do we have all the path elements?
+    const len = data[0];
+    if (0 === len || 10 < len || data.length < 1 + 4 * len) {
+        fail(ErrorCodes.ERR_INVALID_DATA);
+    }
+
+    // read the elements
+    const path = [];
+    for (let i = 0; i < len; i++) {
+        path.push(data.readUInt32BE(1 + 4 * i));
+    }
+
+    // the Fantom app derives keys only inside the 44'/60'/a' address space
+    if (3 > path.length ||
+        path[0] !== BIP32_HARDENED + 44 ||
+        path[1] !== BIP32_HARDENED + 60 ||
+        path[2] < BIP32_HARDENED) {
+        fail(ErrorCodes.ERR_REJECTED_BY_POLICY);
+    }
+
+    return {path, rest: data.slice(1 + 4 * len)};
+};
+
+/**
+ * rlpPayloadLength calculates the expected total length of a transaction payload
+ * from its beginning. Typed transactions have the type byte in front of the RLP list.
+ * If the length can not be determined yet, undefined is returned.
+ *
+ * @param {Buffer} data
+ * @returns {number|undefined}
+ */
+const rlpPayloadLength = (data) => {
+    // typed envelope?
+    const offset = (0 < data.length && data[0] < 0x7f) ? 1 : 0;
+    if (data.length <= offset) {
+        return undefined;
+    }
+
+    // short list
+    const head = data[offset];
+    if (head >= 0xc0 && head <= 0xf7) {
+        return offset + 1 + head - 0xc0;
+    }
+
+    // long list
+    if (head > 0xf7) {
+        const lenOfLen = head - 0xf7;
+        if (data.length < offset + 1 + lenOfLen) {
+            return undefined;
+        }
+        return offset + 1 + lenOfLen + data.readUIntBE(offset + 1, lenOfLen);
+    }
+
+    // transactions are always RLP lists
+    fail(ErrorCodes.ERR_INVALID_DATA);
+};
+
+/**
+ * isSignatureRequest checks if the APDU requests a signature to be confirmed by the user.
+ *
+ * @param {Buffer} apdu
+ * @returns {boolean}
+ */
+const isSignatureRequest = (apdu) => {
+    const [, ins, p1] = apdu;
+    return INS.SIGN_TYPED_DATA === ins ||
+        ((INS.SIGN_TRANSACTION === ins || INS.SIGN_PERSONAL_MESSAGE === ins) && 0x80 === p1);
+};
+
+// MockTransport implements Ledger transport emulating the Fantom Ledger application.
+export default class MockTransport extends Transport {
+    // hdKey represents the master key of the emulated device
+    hdKey;
+
+    // version represents the emulated app version
+    version;
+
+    // injected holds the list of status words injected to be returned by the device
+    injected = [];
+
+    // signing holds the state of an active signing process
+    signing = null;
+
+    // exchanges counts the number of processed APDU exchanges
+    exchanges = 0;
+
+    // confirm represents an optional async hook emulating the user confirmation
+    // of signature requests; the device responds once the returned promise resolves
+    confirm = null;
+
+    // busy signals an APDU being processed; the device can not take another one
+    // until it responds, the same way a physical device connected over HID can not
+    busy = false;
+
+    /**
+     * Construct new mock transport emulating the Fantom app
+     * with the keys derived from the given seed.
+     *
+     * @param {Buffer|string} seed BIP39 seed as a buffer, or a hex string.
+     * @param {{major: number, minor: number, patch: number, isDevelopment: boolean}} version Emulated app version.
+     */
+    constructor(seed, version = DEFAULT_VERSION) {
+        super();
+
+        // make the master key
+        const seedBuffer = Buffer.isBuffer(seed) ? seed : Buffer.from(seed.replace(/^0x/, ""), "hex");
+        this.hdKey = HDKey.fromMasterSeed(seedBuffer);
+        this.version = {...DEFAULT_VERSION, ...version};
+    }
+
+    /**
+     * fromMnemonic creates a new mock transport from the given BIP39 mnemonic phrase.
+     *
+     * @param {string} mnemonic
+     * @param {string} password
+     * @param {{}} version
+     * @returns {MockTransport}
+     */
+    static fromMnemonic(mnemonic, password = "", version = DEFAULT_VERSION) {
+        return new MockTransport(mnemonicToSeedSync(mnemonic, password), version);
+    }
+
+    /**
+     * injectError makes the emulated device respond with the given status word
+     * to the next APDU of the specified instruction. If the instruction is not specified,
+     * the next APDU of any instruction fails.
+     *
+     * @param {number} statusCode Status word to be returned.
+     * @param {number|undefined} ins Instruction the status is injected to.
+     * @param {number|undefined} p1 Instruction parameter the status is injected to.
+     */
+    injectError(statusCode, ins = undefined, p1 = undefined) {
+        this.injected.push({statusCode, ins, p1});
+    }
+
+    /**
+     * getAddress returns the address derived by the emulated device for the given BIP32 path.
+     *
+     * @param {[number]} path
+     * @returns {string}
+     */
+    getAddress(path) {
+        return "0x" + privateToAddress(this.deriveKey(path).privateKey).toString("hex");
+    }
+
+    /**
+     * deriveKey derives HD key for the given BIP32 path.
+     *
+     * @param {[number]} path
+     * @returns {HDKey}
+     */
+    deriveKey(path) {
+        return this.hdKey.derive(formatBip32Path(path));
+    }
+
+    /**
+     * exchange processes the APDU the same way the Fantom app does
+     * and returns the response with the status word.
+     *
+     * @param {Buffer} apdu
+     * @returns {Promise<Buffer>}
+     */
+    async exchange(apdu) {
+        if (this.busy) {
+            throw new Error("An action was already pending on the Ledger device.");
+        }
+        this.exchanges++;
+        this.busy = true;
+
+        try {
+            // signature requests wait for the user
+            if (null !== this.confirm && isSignatureRequest(apdu)) {
+                await this.confirm(apdu);
+            }
+
+            return Buffer.concat([this.process(apdu), statusBuffer(STATUS_OK)]);
+        } catch (e) {
+            if (e instanceof MockDeviceError) {
+                return statusBuffer(e.statusCode);
+            }
+            throw e;
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * process handles the incoming APDU and returns the response payload.
+     *
+     * @param {Buffer} apdu
+     * @returns {Buffer}
+     */
+    process(apdu) {
+        // check the header
+        if (apdu.length < APDU_HEADER_LENGTH || apdu.length !== APDU_HEADER_LENGTH + apdu[4]) {
+            fail(ErrorCodes.ERR_BAD_REQUEST_HEADER);
+        }
+
+        const [cla, ins, p1, p2] = apdu;
+        const data = apdu.slice(APDU_HEADER_LENGTH);
+
+        // injected status?
+        const inj = this.injected.findIndex(i => {
+            return (undefined === i.ins || i.ins === ins) && (undefined === i.p1 || i.p1 === p1);
+        });
+        if (-1 < inj) {
+            // the device resets any signing state on an error
+            this.signing = null;
+            fail(this.injected.splice(inj, 1)[0].statusCode);
+        }
+
+        // validate service class
+        if (CLA !== cla) {
+            fail(ErrorCodes.ERR_UNKNOWN_CLA);
+        }
+
+        // only one instruction can be processed at a time; switching the instruction
+        // in the middle of signing resets the state
+        if (null !== this.signing && this.signing.ins !== ins) {
+            this.signing = null;
+            fail(ErrorCodes.ERR_INVALID_STATE);
+        }
+
+        switch (ins) {
+            case INS.GET_VERSION:
+                return this.getVersion(p1, p2, data);
+            case INS.GET_PUBLIC_KEY:
+                return this.getPublicKey(p1, p2, data);
+            case INS.GET_ADDRESS:
+                return this.getAddressResponse(p1, p2, data);
+            case INS.SIGN_TRANSACTION:
+            case INS.SIGN_PERSONAL_MESSAGE:
+                return this.sign(ins, p1, p2, data);
+            case INS.SIGN_TYPED_DATA:
+                return this.signTypedData(p1, p2, data);
+            default:
+                fail(ErrorCodes.ERR_UNKNOWN_INS);
+        }
+    }
+
+    /**
+     * getVersion handles the app version request.
+     */
+    getVersion(p1, p2, data) {
+        if (0 !== p1 || 0 !== p2 || 0 !== data.length) {
+            fail(ErrorCodes.ERR_INVALID_PARAMETERS);
+        }
+
+        const {major, minor, patch, isDevelopment} = this.version;
+        return Buffer.from([major, minor, patch, isDevelopment ? 0x01 : 0x00]);
+    }
+
+    /**
+     * getPublicKey handles the public key request. The response contains
+     * the key length, the uncompressed public key and the chain code.
+     */
+    getPublicKey(p1, p2, data) {
+        if (0 !== p1 || 0 !== p2) {
+            fail(ErrorCodes.ERR_INVALID_PARAMETERS);
+        }
+
+        // derive the key
+        const {path, rest} = parseBip32Path(data);
+        if (0 !== rest.length) {
+            fail(ErrorCodes.ERR_INVALID_DATA);
+        }
+        const key = this.deriveKey(path);
+
+        // uncompressed public key; the HD key provides the compressed one
+        const pub = Buffer.from(publicKeyConvert(key.publicKey, false));
+        return Buffer.concat([Buffer.from([pub.length]), pub, key.chainCode]);
+    }
+
+    /**
+     * getAddressResponse handles the address request.
+     */
+    getAddressResponse(p1, p2, data) {
+        if ((0x01 !== p1 && 0x02 !== p1) || 0 !== p2) {
+            fail(ErrorCodes.ERR_INVALID_PARAMETERS);
+        }
+
+        // derive the address
+        const {path, rest} = parseBip32Path(data);
+        if (0 !== rest.length) {
+            fail(ErrorCodes.ERR_INVALID_DATA);
+        }
+
+        const addr = privateToAddress(this.deriveKey(path).privateKey);
+        return Buffer.concat([Buffer.from([addr.length]), addr]);
+    }
+
+    /**
+     * sign handles the three steps signing protocol of transactions and personal messages.
+     */
+    sign(ins, p1, p2, data) {
+        if (0 !== p2) {
+            fail(ErrorCodes.ERR_INVALID_PARAMETERS);
+        }
+
+        switch (p1) {
+            // init the signing
+            case 0x00: {
+                const {path, rest} = parseBip32Path(data);
+                let expected;
+
+                // personal messages have the length sent with the path
+                if (INS.SIGN_PERSONAL_MESSAGE === ins) {
+                    if (4 !== rest.length) {
+                        fail(ErrorCodes.ERR_INVALID_DATA);
+                    }
+                    expected = rest.readUInt32BE(0);
+                } else if (0 !== rest.length) {
+                    fail(ErrorCodes.ERR_INVALID_DATA);
+                }
+
+                this.signing = {ins, path, expected, payload: Buffer.alloc(0), state: SIGN_STATE.COLLECT};
+                return Buffer.alloc(0);
+            }
+
+            // collect the payload
+            case 0x01: {
+                // empty chunk, or a chunk out of the collecting state resets the state
+                if (null === this.signing || SIGN_STATE.COLLECT !== this.signing.state || 0 === data.length) {
+                    this.signing = null;
+                    fail(ErrorCodes.ERR_INVALID_STATE);
+                }
+
+                const signing = this.signing;
+                signing.payload = Buffer.concat([signing.payload, data]);
+                if (INS.SIGN_TRANSACTION === ins) {
+                    signing.expected = rlpPayloadLength(signing.payload);
+                }
+
+                // too much data?
+                if (undefined !== signing.expected && signing.payload.length > signing.expected) {
+                    this.signing = null;
+                    fail(ErrorCodes.ERR_INVALID_DATA);
+                }
+
+                // all the data collected?
+                if (undefined !== signing.expected && signing.payload.length === signing.expected) {
+                    signing.state = SIGN_STATE.FINALIZE;
+                }
+                return Buffer.from([signing.state]);
+            }
+
+            // finalize the signature
+            case 0x80: {
+                if (null === this.signing || SIGN_STATE.FINALIZE !== this.signing.state) {
+                    this.signing = null;
+                    fail(ErrorCodes.ERR_INVALID_STATE);
+                }
+
+                const {path, payload} = this.signing;
+                this.signing = null;
+
+                // transactions are signed by the hash of the payload,
+                // messages are signed by the EIP-191 hash
+                const hash = (INS.SIGN_TRANSACTION === ins) ? keccak256(payload) : hashPersonalMessage(payload);
+                return this.signatureResponse(path, hash);
+            }
+
+            default:
+                fail(ErrorCodes.ERR_INVALID_PARAMETERS);
+        }
+    }
+
+    /**
+     * signTypedData handles the EIP-712 hashed typed data signing.
+     */
+    signTypedData(p1, p2, data) {
+        if (0 !== p1 || 0 !== p2) {
+            fail(ErrorCodes.ERR_INVALID_PARAMETERS);
+        }
+
+        // we expect the domain separator and the struct hash
+        const {path, rest} = parseBip32Path(data);
+        if (64 !== rest.length) {
+            fail(ErrorCodes.ERR_INVALID_TYPED_DATA);
+        }
+
+        return this.signatureResponse(path, keccak256(Buffer.concat([Buffer.from("1901", "hex"), rest])));
+    }
+
+    /**
+     * signatureResponse signs the hash with the key of the given path
+     * and builds the signature response with the base <v> value.
+     *
+     * @param {[number]} path
+     * @param {Buffer} hash
+     * @returns {Buffer}
+     */
+    signatureResponse(path, hash) {
+        const sig = ecsign(hash, this.deriveKey(path).privateKey);
+        return Buffer.concat([Buffer.from([sig.v]), sig.r, sig.s]);
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * Implements network profiles of the Fantom Opera blockchain. A profile holds
+ * the chain id of the network and the address book of the contracts the library
+ * builders call. Every builder takes the network in its optional options argument,
+ * see BuilderOptions; builders calling a contract of the address book take
+ * the contract address from the network if the address argument is null. The built-in profiles
+ * carry only the contracts with a well known deployment, the other contracts,
+ * e.g. the fMint, or the lending pool, have to be provided by a custom profile.
+ */
+
+// import needed libs
+import {Assert, parseQuantity} from "./utils";
+import sfcContract from "./abi/sfc";
+
+// SFC_CONTRACT_ADDRESS is the address on which the SFC smart contract is deployed.
+const SFC_CONTRACT_ADDRESS = sfcContract.address;
+
+// OPERA_CHAIN_ID is the chain id used by Fantom Opera blockchain.
+export const OPERA_CHAIN_ID = '0xfa';
+
+// TESTNET_CHAIN_ID is the chain id used by Fantom Opera test net.
+export const TESTNET_CHAIN_ID = '0xfa2';
+
+// CONTRACTS represents the list of contracts kept in the address book of a network profile.
+export const CONTRACTS = [
+    "sfc",
+    "wftm",
+    "fmint",
+    "fmintReward",
+    "uniswapRouter",
+    "governance",
+    "lendingPool",
+    "sftmTokenizer"
+];
+
+// MAINNET represents the profile of the Fantom Opera main network.
+export const MAINNET = Object.freeze({
+    name: "mainnet",
+    chainId: OPERA_CHAIN_ID,
+    contracts: Object.freeze({
+        sfc: SFC_CONTRACT_ADDRESS,
+        wftm: '0x21be370D5312f44cB42ce377BC9b8a0cEF1A4C83'
+    })
+});
+
+// TESTNET represents the profile of the Fantom Opera test network.
+export const TESTNET = Object.freeze({
+    name: "testnet",
+    chainId: TESTNET_CHAIN_ID,
+    contracts: Object.freeze({
+        sfc: SFC_CONTRACT_ADDRESS,
+        wftm: '0xf1277d1Ed8AD466beddF92ef448A132661956621'
+    })
+});
+
+/**
+ * Network represents the network a builder targets; either the name of a known
+ * profile, or the profile itself. Builders resolve the chain id of the built
+ * transaction from it, and the address of the called contract if the address
+ * argument is null. The main network is used if the network is not given.
+ *
+ * @typedef {string|{name: string, chainId: string, contracts: {}}} Network
+ */
+
+/**
+ * BuilderOptions represents the optional last argument of the transaction builders.
+ *
+ * @typedef {{accessList: AccessList|undefined, network: Network|undefined}} BuilderOptions
+ */
+
+// NETWORKS represents the known network profiles by their name.
+export const NETWORKS = {
+    mainnet: MAINNET,
+    testnet: TESTNET
+};
+
+/**
+ * isNetwork checks if the given value is a network profile.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isNetwork(value) {
+    return ("object" === typeof value) && (null !== value) &&
+        ("object" === typeof value.contracts) && (null !== value.contracts) &&
+        value.hasOwnProperty("chainId");
+}
+
+/**
+ * customNetwork creates a custom network profile. Contracts not provided
+ * are taken from the base profile, chain id of the base is used if not set.
+ *
+ * @param {{name: string|undefined, chainId: string|number|BN|Buffer|undefined, contracts: {}|undefined}} profile
+ * @param {string|{}|undefined} base Name, or the profile of the base network; main network by default.
+ * @returns {{name: string, chainId: string, contracts: {}}}
+ */
+export function customNetwork({name = "custom", chainId, contracts = {}} = {}, base) {
+    const parent = getNetwork(base);
+
+    // validate contract addresses
+    Assert.isObject(contracts, "contracts");
+    Object.keys(contracts).forEach(key => {
+        Assert.check(CONTRACTS.includes(key), "networkContract", `contracts.${key}`, key);
+        if (null !== contracts[key]) {
+            Assert.isAddress(contracts[key], `contracts.${key}`);
+        }
+    });
+
+    return Object.freeze({
+        name,
+        chainId: undefined === chainId ? parent.chainId : '0x' + parseQuantity(chainId, "chainId").toString(16),
+        contracts: Object.freeze({...parent.contracts, ...contracts})
+    });
+}
+
+/**
+ * getNetwork resolves the network profile by its name. A profile
+ * is returned as is, the main network is used if none is given.
+ *
+ * @param {string|{}|undefined} network Name, or the profile of the network.
+ * @returns {{name: string, chainId: string, contracts: {}}}
+ */
+export function getNetwork(network) {
+    if (undefined === network || null === network) {
+        return MAINNET;
+    }
+
+    if ("string" === typeof network) {
+        Assert.check(NETWORKS.hasOwnProperty(network), "network", "network", network);
+        return NETWORKS[network];
+    }
+
+    Assert.check(isNetwork(network), "network", "network", network);
+    return network;
+}
+
+/**
+ * resolveContract resolves the address of a contract for a builder. An address
+ * given explicitly is validated and used as is, otherwise it is taken from
+ * the address book of the network, the main network by default. The chain id
+ * of an explicit address is known only if the network is given as well.
+ *
+ * @param {string|null|undefined} address Address of the contract, null to take it from the network.
+ * @param {string|{}|undefined} network Name, or the profile of the network.
+ * @param {string} contract Name of the contract in the address book, see CONTRACTS.
+ * @returns {{address: string, chainId: string|undefined}}
+ */
+export function resolveContract(address, network, contract) {
+    const hasNetwork = (undefined !== network && null !== network);
+
+    // explicit address given
+    if (undefined !== address && null !== address) {
+        Assert.isAddress(address, contract);
+        return {address, chainId: hasNetwork ? getNetwork(network).chainId : undefined};
+    }
+
+    // the profile has to know the contract
+    const profile = getNetwork(network);
+    const known = profile.contracts[contract];
+    Assert.check(undefined !== known && null !== known, "networkContract", contract, profile.name);
+    return {address: known, chainId: profile.chainId};
+}
+
+/**
+ * builderOptions resolves the options argument of a builder. An array is taken
+ * as the access list, the way builders accepted it before the options were added.
+ *
+ * @param {BuilderOptions|[{}]|undefined} options
+ * @returns {BuilderOptions}
+ */
+export function builderOptions(options) {
+    if (undefined === options || null === options) {
+        return {};
+    }
+
+    if (Array.isArray(options)) {
+        return {accessList: options};
+    }
+
+    Assert.isObject(options, "options");
+    return options;
+}
+
+/**
+ * withChainId attaches chain id to the given transaction, if set.
+ *
+ * @param {{}} tx
+ * @param {string|undefined} chainId
+ * @returns {{}}
+ */
+export function withChainId(tx, chainId) {
+    // nothing to attach
+    if (undefined === chainId || null === chainId) {
+        return tx;
+    }
+
+    return {...tx, chainId};
+}
+
+// what we export here
+export default {
+    OPERA_CHAIN_ID,
+    TESTNET_CHAIN_ID,
+    CONTRACTS,
+    MAINNET,
+    TESTNET,
+    NETWORKS,
+    isNetwork,
+    customNetwork,
+    getNetwork,
+    resolveContract,
+    builderOptions,
+    withChainId
+};
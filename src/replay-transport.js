@@ -0,0 +1,103 @@
+/**
+ * This implements Ledger transport replaying the APDU exchange recorded
+ * by the ApduRecorder. Each APDU sent by the FantomNano API bridge must match
+ * the recorded one and the recorded device response is returned. It allows
+ * attaching recordings of device sessions to regression tests.
+ *
+ * @author Jiri Malek <jirka.malek@gmail.com>
+ * @copyright (c) 2020, Fantom Foundation
+ * @licese MIT
+ */
+import Transport from "@ledgerhq/hw-transport";
+import {Assert, buffer2Hex, hex2Buffer} from "./utils";
+import {RECORDING_VERSION} from "./apdu-recorder";
+
+// APDU_HEADER_LENGTH is the length of CLA, INS, P1, P2 and Lc header of an APDU.
+const APDU_HEADER_LENGTH = 5;
+
+/**
+ * formatApdu formats APDU header fields and data for error messages.
+ *
+ * @param {{cla: number, ins: number, p1: number, p2: number, data: string}} apdu
+ * @returns {string}
+ */
+const formatApdu = ({cla, ins, p1, p2, data}) => {
+    return [cla, ins, p1, p2].map(x => x.toString(16).padStart(2, "0")).join(" ") + ` [${data}]`;
+};
+
+// ReplayTransport implements Ledger transport playing back a recorded APDU exchange.
+export default class ReplayTransport extends Transport {
+    // exchanges holds the list of recorded APDU exchanges
+    exchanges;
+
+    // position represents the index of the next recorded exchange to be replayed
+    position = 0;
+
+    /**
+     * Construct new replay transport for the given recording.
+     *
+     * @param {{version: number, exchanges: []}|string} recording The recording, or its JSON.
+     */
+    constructor(recording) {
+        super();
+
+        // parse the recording
+        const rec = ("string" === typeof recording) ? JSON.parse(recording) : recording;
+        Assert.isObject(rec);
+        Assert.check(RECORDING_VERSION === rec.version, "recordingVersion", "recording.version", rec.version);
+        Assert.isArray(rec.exchanges);
+        this.exchanges = rec.exchanges;
+    }
+
+    /**
+     * fromFile creates a new replay transport from the given recording file.
+     * Please note the file system is available in Node.js only.
+     *
+     * @param {string} fileName
+     * @returns {ReplayTransport}
+     */
+    static fromFile(fileName) {
+        // the file system is loaded on demand so the transport can be bundled for browsers
+        const fs = require("fs");
+        return new ReplayTransport(fs.readFileSync(fileName, "utf8"));
+    }
+
+    /**
+     * isDone checks if all the recorded exchanges have been replayed.
+     *
+     * @returns {boolean}
+     */
+    isDone() {
+        return this.position === this.exchanges.length;
+    }
+
+    /**
+     * exchange replays the next recorded exchange for the given APDU.
+     *
+     * @param {Buffer} apdu
+     * @returns {Promise<Buffer>}
+     */
+    async exchange(apdu) {
+        // decode the APDU sent
+        const [cla, ins, p1, p2] = apdu;
+        const sent = {cla, ins, p1, p2, data: buffer2Hex(apdu.slice(APDU_HEADER_LENGTH))};
+
+        // anything left to replay?
+        if (this.isDone()) {
+            throw new Error(`Unexpected APDU ${formatApdu(sent)}, the recording has ended.`);
+        }
+
+        // the APDU must match the recorded one
+        const rec = this.exchanges[this.position];
+        if (formatApdu(rec) !== formatApdu(sent)) {
+            throw new Error(`Unexpected APDU ${formatApdu(sent)} at position ${this.position}, expected ${formatApdu(rec)}.`);
+        }
+        this.position++;
+
+        // transport failure has been recorded
+        if (undefined !== rec.error) {
+            throw new Error(rec.error);
+        }
+        return hex2Buffer(rec.response);
+    }
+}
@@ -1,16 +1,14 @@
 import Web3 from "web3";
 import web3Utils from "web3-utils";
 import {AbiItem} from 'web3-utils';
-
-// SFC_CONTRACT_ADDRESS is the address on which the SFC smart contract is deployed.
-const SFC_CONTRACT_ADDRESS = '0xfc00face00000000000000000000000000000000';
+import {withAccessList} from "./utils";
+import {resolveAmount} from "./units-utils";
+import {getMethodAbi} from "./abi-registry";
+import {OPERA_CHAIN_ID, builderOptions, resolveContract} from "./networks";
 
 // ZERO_AMOUNT represents zero amount transferred on some calls.
 const ZERO_AMOUNT = '0x0';
 
-// OPERA_CHAIN_ID is the chain id used by Fantom Opera blockchain.
-const OPERA_CHAIN_ID = '0xfa';
-
 /**
  * encodeCall encodes contract call for the given ABI item
  * and list of parameters using provided Web3 client.
@@ -33,12 +31,16 @@ function encodeCall(client, abi, params) {
  * createDelegationTx creates a new delegation transaction structure
  * for the given amount and validator index.
  *
- * @param {number|BN|string} amount Amount of FTM tokens in WEI units to delegate.
+ * @param {number|BN|string|{amount: string, decimals: number}} amount Amount of FTM tokens in WEI units to delegate.
  * @param {int} to Id of the validator to delegate to.
  * @param {Web3|undefined} web3Client Optional instance of an initialized Web3 client.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, to: *, value: string}}
  */
-function createDelegationTx(amount, to, web3Client) {
+function createDelegationTx(amount, to, web3Client, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
     // validate staking id
     if (to <= 0) {
         throw 'Validator id must be positive unsigned integer value.';
@@ -50,26 +52,13 @@ function createDelegationTx(amount, to, web3Client) {
     }
 
     // make the transaction
-    return {
-        chainId: OPERA_CHAIN_ID,
-        to: SFC_CONTRACT_ADDRESS, /* SFC Contract */
-        value: web3Utils.numberToHex(amount),
-        data: encodeCall(web3Client, {
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "toValidatorID",
-                    "type": "uint256"
-                }
-            ],
-            "name": "delegate",
-            "outputs": [],
-            "payable": true,
-            "stateMutability": "payable",
-            "type": "function"
-        }, [web3Utils.numberToHex(to)]),
-    };
+    const {address: sfcAddress, chainId} = resolveContract(null, network, "sfc");
+    return withAccessList({
+        chainId,
+        to: sfcAddress, /* SFC Contract */
+        value: web3Utils.numberToHex(resolveAmount(amount)),
+        data: encodeCall(web3Client, getMethodAbi("sfc", "delegate"), [web3Utils.numberToHex(to)]),
+    }, accessList);
 }
 
 /**
@@ -79,13 +68,14 @@ function createDelegationTx(amount, to, web3Client) {
  * Note: A delegation has to exist already on the source address
  * for the transaction to be accepted on the server.
  *
- * @param {number|string|BN} amount Amount of FTM tokens in WEI units to delegate.
+ * @param {number|string|BN|{amount: string, decimals: number}} amount Amount of FTM tokens in WEI units to delegate.
  * @param {int} to Id of the validator to delegate to.
  * @param {Web3|undefined} web3Client Optional instance of an initialized Web3 client.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, to: *, value: string}}
  */
-function increaseDelegationTx(amount, to, web3Client) {
-    return createDelegationTx(amount, to, web3Client);
+function increaseDelegationTx(amount, to, web3Client, options) {
+    return createDelegationTx(amount, to, web3Client, options);
 }
 
 /**
@@ -95,33 +85,24 @@ function increaseDelegationTx(amount, to, web3Client) {
  * @param {int} maxEpochs The value is ignored.
  * @param {int} to Id of the validator to delegate to.
  * @param {Web3|undefined} web3Client Optional instance of an initialized Web3 client.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, to: *, value: string}}
  */
-function claimDelegationRewardsCompoundTx(maxEpochs, to, web3Client) {
+function claimDelegationRewardsCompoundTx(maxEpochs, to, web3Client, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
     // validate staking id to be uint
     if (!Number.isInteger(to) || (0 >= to)) {
         throw 'Validator id must be positive unsigned integer value.';
     }
-    return {
-        chainId: OPERA_CHAIN_ID,
-        to: SFC_CONTRACT_ADDRESS, /* SFC Contract */
+    const {address: sfcAddress, chainId} = resolveContract(null, network, "sfc");
+    return withAccessList({
+        chainId,
+        to: sfcAddress, /* SFC Contract */
         value: ZERO_AMOUNT,
-        data: encodeCall(web3Client, {
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "toValidatorID",
-                    "type": "uint256"
-                }
-            ],
-            "name": "restakeRewards",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [web3Utils.numberToHex(to)])
-    };
+        data: encodeCall(web3Client, getMethodAbi("sfc", "restakeRewards"), [web3Utils.numberToHex(to)])
+    }, accessList);
 }
 
 /**
@@ -132,34 +113,25 @@ function claimDelegationRewardsCompoundTx(maxEpochs, to, web3Client) {
  * @param {int} maxEpochs The value is ignored.
  * @param {int} to Id of the validator to delegate to.
  * @param {Web3|undefined} web3Client Optional instance of an initialized Web3 client.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, to: *, value: string}}
  */
-function claimDelegationRewardsTx(maxEpochs, to, web3Client) {
+function claimDelegationRewardsTx(maxEpochs, to, web3Client, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
     // validate staking id to be uint
     if (!Number.isInteger(to) || (0 >= to)) {
         throw 'Validator id must be positive unsigned integer value.';
     }
 
-    return {
-        chainId: OPERA_CHAIN_ID,
-        to: SFC_CONTRACT_ADDRESS, /* SFC Contract */
+    const {address: sfcAddress, chainId} = resolveContract(null, network, "sfc");
+    return withAccessList({
+        chainId,
+        to: sfcAddress, /* SFC Contract */
         value: ZERO_AMOUNT,
-        data: encodeCall(web3Client, {
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "toValidatorID",
-                    "type": "uint256"
-                }
-            ],
-            "name": "claimRewards",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [web3Utils.numberToHex(to)])
-    };
+        data: encodeCall(web3Client, getMethodAbi("sfc", "claimRewards"), [web3Utils.numberToHex(to)])
+    }, accessList);
 }
 
 /**
@@ -198,49 +170,30 @@ function prepareToWithdrawDelegationTx(to, web3Client) {
  *
  * @param {number|string|BN} requestId Unique and unused identifier of the withdraw request.
  * @param {int} to Id of the validator the delegation belongs to.
- * @param {number|string|BN} amount Amount of FTM tokens in WEI units to be prepared for withdraw.
+ * @param {number|string|BN|{amount: string, decimals: number}} amount Amount of FTM tokens in WEI units to be prepared for withdraw.
  * @param {Web3|undefined} web3Client Optional instance of an initialized Web3 client.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, to: *, value: string}}
  */
-function prepareToWithdrawDelegationPartTx(requestId, to, amount, web3Client) {
+function prepareToWithdrawDelegationPartTx(requestId, to, amount, web3Client, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
     // validate staking id to be uint
     if (!Number.isInteger(to) || (0 >= to)) {
         throw 'Validator id must be positive unsigned integer value.';
     }
 
-    return {
-        chainId: OPERA_CHAIN_ID,
-        to: SFC_CONTRACT_ADDRESS, /* SFC Contract */
+    const {address: sfcAddress, chainId} = resolveContract(null, network, "sfc");
+    return withAccessList({
+        chainId,
+        to: sfcAddress, /* SFC Contract */
         value: ZERO_AMOUNT,
-        data: encodeCall(web3Client, {
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "toValidatorID",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "wrID",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amount",
-                    "type": "uint256"
-                }
-            ],
-            "name": "undelegate",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [
+        data: encodeCall(web3Client, getMethodAbi("sfc", "undelegate"), [
             web3Utils.numberToHex(to),
             web3Utils.numberToHex(requestId),
-            web3Utils.numberToHex(amount)])
-    };
+            web3Utils.numberToHex(resolveAmount(amount))])
+    }, accessList);
 }
 
 /**
@@ -253,9 +206,13 @@ function prepareToWithdrawDelegationPartTx(requestId, to, amount, web3Client) {
  * @param {int} to Id of the validator the delegation belongs to.
  * @param {number} requestId Unique and unused identifier of the withdraw request.
  * @param {Web3|undefined} web3Client Optional instance of an initialized Web3 client.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, to: *, value: string}}
  */
-function withdrawPartTx(to, requestId, web3Client) {
+function withdrawPartTx(to, requestId, web3Client, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
     // request id has to be uint
     if (!Number.isInteger(requestId) || (0 >= requestId)) {
         throw 'Request id must be a valid numeric identifier.';
@@ -266,31 +223,13 @@ function withdrawPartTx(to, requestId, web3Client) {
         throw 'Validator id must be positive unsigned integer value.';
     }
 
-    return {
-        chainId: OPERA_CHAIN_ID,
-        to: SFC_CONTRACT_ADDRESS, /* SFC Contract */
+    const {address: sfcAddress, chainId} = resolveContract(null, network, "sfc");
+    return withAccessList({
+        chainId,
+        to: sfcAddress, /* SFC Contract */
         value: ZERO_AMOUNT,
-        data: encodeCall(web3Client, {
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "toValidatorID",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "wrID",
-                    "type": "uint256"
-                }
-            ],
-            "name": "withdraw",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [web3Utils.numberToHex(to), web3Utils.numberToHex(requestId)])
-    };
+        data: encodeCall(web3Client, getMethodAbi("sfc", "withdraw"), [web3Utils.numberToHex(to), web3Utils.numberToHex(requestId)])
+    }, accessList);
 }
 
 
@@ -310,11 +249,15 @@ function withdrawDelegationTx(to, web3Client) {
  *
  * @param {int} to Id of the validator the delegation belongs to.
  * @param {int} duration Number of seconds the lock should be activated.
- * @param {number|string|BN} amount Amount of FTM tokes in WEI format to be prepared for withdraw.
+ * @param {number|string|BN|{amount: string, decimals: number}} amount Amount of FTM tokes in WEI format to be prepared for withdraw.
  * @param {Web3|undefined} web3Client Optional instance of an initialized Web3 client.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, to: *, value: string}}
  */
-function lockupDelegationTx(to, duration, amount, web3Client) {
+function lockupDelegationTx(to, duration, amount, web3Client, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
     // validate staking id
     if (to <= 0) {
         throw 'Validator id must be positive unsigned integer value.';
@@ -335,40 +278,17 @@ function lockupDelegationTx(to, duration, amount, web3Client) {
         throw 'The lock duration must be at most 365 days.';
     }
 
-    return {
-        chainId: OPERA_CHAIN_ID,
-        to: SFC_CONTRACT_ADDRESS, /* SFC Contract */
+    const {address: sfcAddress, chainId} = resolveContract(null, network, "sfc");
+    return withAccessList({
+        chainId,
+        to: sfcAddress, /* SFC Contract */
         value: ZERO_AMOUNT,
-        data: encodeCall(web3Client, {
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "toValidatorID",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "lockupDuration",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amount",
-                    "type": "uint256"
-                }
-            ],
-            "name": "lockStake",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [
+        data: encodeCall(web3Client, getMethodAbi("sfc", "lockStake"), [
             web3Utils.numberToHex(to),
             web3Utils.numberToHex(duration),
-            web3Utils.numberToHex(amount)
+            web3Utils.numberToHex(resolveAmount(amount))
         ])
-    };
+    }, accessList);
 }
 
 /**
@@ -376,11 +296,15 @@ function lockupDelegationTx(to, duration, amount, web3Client) {
  *
  * @param {int} to Id of the validator the delegation belongs to.
  * @param {int} duration Number of seconds the lock should be activated.
- * @param {number|string|BN} amount Amount of FTM tokes in WEI format to be prepared for withdraw.
+ * @param {number|string|BN|{amount: string, decimals: number}} amount Amount of FTM tokes in WEI format to be prepared for withdraw.
  * @param {Web3|undefined} web3Client Optional instance of an initialized Web3 client.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, to: *, value: string}}
  */
-function relockDelegationTx(to, duration, amount, web3Client) {
+function relockDelegationTx(to, duration, amount, web3Client, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
     // validate staking id
     if (to <= 0) {
         throw 'Validator id must be positive unsigned integer value.';
@@ -401,51 +325,32 @@ function relockDelegationTx(to, duration, amount, web3Client) {
         throw 'The lock duration must be at most 365 days.';
     }
 
-    return {
-        chainId: OPERA_CHAIN_ID,
-        to: SFC_CONTRACT_ADDRESS, /* SFC Contract */
+    const {address: sfcAddress, chainId} = resolveContract(null, network, "sfc");
+    return withAccessList({
+        chainId,
+        to: sfcAddress, /* SFC Contract */
         value: ZERO_AMOUNT,
-        data: encodeCall(web3Client, {
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "toValidatorID",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "lockupDuration",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amount",
-                    "type": "uint256"
-                }
-            ],
-            "name": "relockStake",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [
+        data: encodeCall(web3Client, getMethodAbi("sfc", "relockStake"), [
             web3Utils.numberToHex(to),
             web3Utils.numberToHex(duration),
-            web3Utils.numberToHex(amount)
+            web3Utils.numberToHex(resolveAmount(amount))
         ])
-    };
+    }, accessList);
 }
 
 /**
  * unlockDelegationTx creates a transaction for unlocking delegation.
  *
  * @param {int} to Id of the validator the delegation belongs to.
- * @param {number|string|BN} amount Amount of FTM tokens in WEI units to be prepared for withdraw.
+ * @param {number|string|BN|{amount: string, decimals: number}} amount Amount of FTM tokens in WEI units to be prepared for withdraw.
  * @param {Web3|undefined} web3Client Optional instance of an initialized Web3 client.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, to: *, value: string}}
  */
-function unlockDelegationTx(to, amount, web3Client) {
+function unlockDelegationTx(to, amount, web3Client, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
     // validate staking id
     if (to <= 0) {
         throw 'Validator id must be positive unsigned integer value.';
@@ -456,40 +361,16 @@ function unlockDelegationTx(to, amount, web3Client) {
         throw 'Validator id must be positive unsigned integer value.';
     }
 
-    return {
-        chainId: OPERA_CHAIN_ID,
-        to: SFC_CONTRACT_ADDRESS, /* SFC Contract */
+    const {address: sfcAddress, chainId} = resolveContract(null, network, "sfc");
+    return withAccessList({
+        chainId,
+        to: sfcAddress, /* SFC Contract */
         value: ZERO_AMOUNT,
-        data: encodeCall(web3Client, {
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "toValidatorID",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amount",
-                    "type": "uint256"
-                }
-            ],
-            "name": "unlockStake",
-            "outputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "",
-                    "type": "uint256"
-                }
-            ],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [
+        data: encodeCall(web3Client, getMethodAbi("sfc", "unlockStake"), [
             web3Utils.numberToHex(to),
-            web3Utils.numberToHex(amount)
+            web3Utils.numberToHex(resolveAmount(amount))
         ])
-    };
+    }, accessList);
 }
 
 /**
@@ -508,11 +389,18 @@ function unstashRewardsTx(web3Client) {
  * stake or delegation.
  *
  * @param {Web3} web3Client
- * @param {string} tokenizer Address of the SFC tokenizer contract.
+ * @param {string|null} tokenizer Address of the SFC tokenizer contract; null to take it from the network.
  * @param {int} stakerId Identifier of the validator the stake/delegation belongs to.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, to: *, value: string, chainId: string}}
  */
-function sfcTokenizeLockedStake(web3Client, tokenizer, stakerId) {
+function sfcTokenizeLockedStake(web3Client, tokenizer, stakerId, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: tokenizerAddress, chainId} = resolveContract(tokenizer, network, "sftmTokenizer");
+
     // validate staking id
     if (stakerId <= 0) {
         throw 'Validator id must be positive unsigned integer value.';
@@ -523,26 +411,12 @@ function sfcTokenizeLockedStake(web3Client, tokenizer, stakerId) {
         throw 'Validator id must be positive unsigned integer value.';
     }
 
-    return {
-        to: tokenizer,
+    return withAccessList({
+        to: tokenizerAddress,
         value: ZERO_AMOUNT,
-        data: encodeCall(web3Client, {
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "toStakerID",
-                    "type": "uint256"
-                }
-            ],
-            "name": "mintSFTM",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [stakerId]),
-        chainId: OPERA_CHAIN_ID
-    };
+        data: encodeCall(web3Client, getMethodAbi("sfc", "mintSFTM"), [stakerId]),
+        chainId: chainId || OPERA_CHAIN_ID
+    }, accessList);
 }
 
 /**
@@ -552,12 +426,19 @@ function sfcTokenizeLockedStake(web3Client, tokenizer, stakerId) {
  * at least for the redeemed amount of tokens.
  *
  * @param {Web3} web3Client
- * @param {string} tokenizer Address of the SFC tokenizer contract.
+ * @param {string|null} tokenizer Address of the SFC tokenizer contract; null to take it from the network.
  * @param {int} stakerId Identifier of the validator the stake/delegation belongs to.
- * @param {number|string|BN} amount Amount of FTM tokens in WEI units to be redeemed.
+ * @param {number|string|BN|{amount: string, decimals: number}} amount Amount of FTM tokens in WEI units to be redeemed.
+ * @param {BuilderOptions|undefined} options
  * @return {{data: string, to: *, value: string, chainId: string}}
  */
-function sfcRedeemTokenizedStake(web3Client, tokenizer, stakerId, amount) {
+function sfcRedeemTokenizedStake(web3Client, tokenizer, stakerId, amount, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: tokenizerAddress, chainId} = resolveContract(tokenizer, network, "sftmTokenizer");
+
     // validate staking id
     if (stakerId <= 0) {
         throw 'Validator id must be positive unsigned integer value.';
@@ -568,33 +449,15 @@ function sfcRedeemTokenizedStake(web3Client, tokenizer, stakerId, amount) {
         throw 'Validator id must be positive unsigned integer value.';
     }
 
-    return {
-        to: tokenizer,
+    return withAccessList({
+        to: tokenizerAddress,
         value: ZERO_AMOUNT,
-        data: encodeCall(web3Client, {
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "stakerID",
-                    "type": "uint256"
-                }, {
-                    "internalType": "uint256",
-                    "name": "amount",
-                    "type": "uint256"
-                }
-            ],
-            "name": "redeemSFTM",
-            "outputs": [],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [
+        data: encodeCall(web3Client, getMethodAbi("sfc", "redeemSFTM"), [
             web3Utils.numberToHex(stakerId),
-            web3Utils.numberToHex(amount)
+            web3Utils.numberToHex(resolveAmount(amount))
         ]),
-        chainId: OPERA_CHAIN_ID
-    };
+        chainId: chainId || OPERA_CHAIN_ID
+    }, accessList);
 }
 
 // what we export here
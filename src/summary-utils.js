@@ -0,0 +1,402 @@
+/**
+ * Implements plain language summaries of transactions produced by the library builders
+ * for confirmation screens, e.g. "Delegate 1,000 FTM to validator #15". Each summary
+ * also carries the list of structured fields shown to the user. Token symbols and decimals
+ * are provided by a pluggable resolver so the wallet can use its own token list.
+ */
+
+// import needed libs
+import {BN} from "ethereumjs-util";
+import {Assert, parseQuantity} from "./utils";
+import {decodeCall} from "./abi-registry";
+import {FTM_DECIMALS, FTM_SYMBOL, formatUnits} from "./units-utils";
+
+// MAX_UINT256 represents the max uint256 amount used by contracts as "all", or "unlimited".
+const MAX_UINT256 = new BN(1).shln(256).subn(1);
+
+// FLEND_RATE_MODES represents names of the fLend interest rate modes.
+const FLEND_RATE_MODES = {"1": "stable", "2": "variable"};
+
+// FMINT_RATIO_DECIMALS represents the number of decimals of the fMint collateral ratio, e.g. 30000 is 3.0.
+const FMINT_RATIO_DECIMALS = 4;
+
+// WFTM_SYMBOL represents the symbol of the wrapped FTM token if the resolver doesn't know it.
+const WFTM_SYMBOL = "wFTM";
+
+/**
+ * shortAddress shortens the address for places where a token symbol is expected.
+ *
+ * @param {string} address
+ * @returns {string}
+ */
+const shortAddress = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+/**
+ * defaultFormatTime formats unix timestamp as UTC date and time, e.g. "2021-06-01 12:30 UTC".
+ *
+ * @param {number} timestamp
+ * @returns {string}
+ */
+const defaultFormatTime = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 16).replace("T", " ") + " UTC";
+
+/**
+ * formatDuration formats the duration in seconds, e.g. "14 days".
+ *
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatDuration = (seconds) => {
+    const units = [[86400, "day"], [3600, "hour"], [60, "minute"], [1, "second"]];
+    const [size, name] = units.find(([size]) => 0 === seconds % size);
+    const count = seconds / size;
+    return `${count} ${name}${1 === count ? "" : "s"}`;
+};
+
+/**
+ * makeContext creates the formatting helpers used by the method summaries.
+ *
+ * @param {{to: string, value: string|BN|BigNumber}} tx
+ * @param {{protocol: string, method: string, args: {}}} call
+ * @param {{resolveToken: function, formatTime: function}} options
+ * @returns {{}}
+ */
+function makeContext(tx, call, {resolveToken, formatTime}) {
+    const tokens = new Map();
+
+    const ctx = {
+        to: tx.to,
+        args: call ? call.args : {},
+        value: parseQuantity((undefined !== tx.value && null !== tx.value) ? tx.value : 0, "tx.value"),
+        formatTime,
+
+        // token resolves symbol and decimals of the token; unknown tokens are shown by their address
+        token: async (address) => {
+            const key = address.toLowerCase();
+            if (!tokens.has(key)) {
+                const info = resolveToken ? await resolveToken(address) : null;
+                tokens.set(key, info || null);
+            }
+            return tokens.get(key);
+        },
+
+        // symbol gives the symbol of the token, or its short address
+        symbol: async (address) => {
+            const info = await ctx.token(address);
+            return info ? info.symbol : shortAddress(address);
+        },
+
+        // amount formats the raw amount of the token in its decimals
+        amount: async (address, raw) => {
+            const info = await ctx.token(address);
+            return formatAmount(raw, info ? info.decimals : null, info ? info.symbol : `units of ${shortAddress(address)}`);
+        },
+
+        // ftm formats the raw amount of native FTM tokens
+        ftm: (raw) => formatAmount(raw, FTM_DECIMALS, FTM_SYMBOL)
+    };
+    return ctx;
+}
+
+/**
+ * formatAmount formats the raw amount in the given decimals;
+ * raw amounts are shown if the decimals are not known.
+ *
+ * @param {string|BN} raw
+ * @param {number|null} decimals
+ * @param {string} symbol
+ * @returns {string}
+ */
+function formatAmount(raw, decimals, symbol) {
+    const amount = BN.isBN(raw) ? raw : new BN(raw, 10);
+    if (amount.eq(MAX_UINT256)) {
+        return `unlimited ${symbol}`;
+    }
+    return `${formatUnits(amount, (null === decimals) ? 0 : decimals, {grouping: true})} ${symbol}`;
+}
+
+// SUMMARIES represents the summary makers of the contract calls by the protocol and the method name;
+// each resolves the summary text and the list of [name, value] fields
+const SUMMARIES = {
+    sfc: {
+        delegate: async ({args, value, ftm}) => {
+            const amount = ftm(value);
+            return [`Delegate ${amount} to validator #${args.toValidatorID}`, [["amount", amount], ["validator", `#${args.toValidatorID}`]]];
+        },
+        restakeRewards: async ({args}) => [
+            `Restake rewards of validator #${args.toValidatorID}`, [["validator", `#${args.toValidatorID}`]]
+        ],
+        claimRewards: async ({args}) => [
+            `Claim rewards of validator #${args.toValidatorID}`, [["validator", `#${args.toValidatorID}`]]
+        ],
+        undelegate: async ({args, ftm}) => {
+            const amount = ftm(args.amount);
+            return [`Undelegate ${amount} from validator #${args.toValidatorID}`, [
+                ["amount", amount], ["validator", `#${args.toValidatorID}`], ["request", `#${args.wrID}`]
+            ]];
+        },
+        withdraw: async ({args}) => [
+            `Withdraw undelegated stake of validator #${args.toValidatorID}`,
+            [["validator", `#${args.toValidatorID}`], ["request", `#${args.wrID}`]]
+        ],
+        lockStake: async ({args, ftm}) => {
+            const amount = ftm(args.amount);
+            const duration = formatDuration(parseInt(args.lockupDuration, 10));
+            return [`Lock ${amount} delegated to validator #${args.toValidatorID} for ${duration}`, [
+                ["amount", amount], ["validator", `#${args.toValidatorID}`], ["duration", duration]
+            ]];
+        },
+        relockStake: async ({args, ftm}) => {
+            const amount = ftm(args.amount);
+            const duration = formatDuration(parseInt(args.lockupDuration, 10));
+            return [`Relock ${amount} delegated to validator #${args.toValidatorID} for ${duration}`, [
+                ["amount", amount], ["validator", `#${args.toValidatorID}`], ["duration", duration]
+            ]];
+        },
+        unlockStake: async ({args, ftm}) => {
+            const amount = ftm(args.amount);
+            return [`Unlock ${amount} delegated to validator #${args.toValidatorID}`, [
+                ["amount", amount], ["validator", `#${args.toValidatorID}`]
+            ]];
+        },
+        mintSFTM: async ({args}) => [
+            `Mint sFTM for the stake locked on validator #${args.toStakerID}`, [["validator", `#${args.toStakerID}`]]
+        ],
+        redeemSFTM: async ({args}) => {
+            const amount = formatAmount(args.amount, FTM_DECIMALS, "sFTM");
+            return [`Redeem ${amount} of validator #${args.stakerID}`, [["amount", amount], ["validator", `#${args.stakerID}`]]];
+        }
+    },
+
+    erc20: {
+        transfer: async ({to, args, amount}) => {
+            const value = await amount(to, args.amount);
+            return [`Transfer ${value} to ${args.recipient}`, [["amount", value], ["recipient", args.recipient]]];
+        },
+        transferFrom: async ({to, args, amount}) => {
+            const value = await amount(to, args.value);
+            return [`Transfer ${value} from ${args.from} to ${args.to}`, [["amount", value], ["owner", args.from], ["recipient", args.to]]];
+        },
+        increaseAllowance: async ({to, args, amount}) => {
+            const value = await amount(to, args.addedValue);
+            return [`Increase allowance of ${args.spender} by ${value}`, [["amount", value], ["spender", args.spender]]];
+        },
+        decreaseAllowance: async ({to, args, amount}) => {
+            const value = await amount(to, args.subtractedValue);
+            return [`Decrease allowance of ${args.spender} by ${value}`, [["amount", value], ["spender", args.spender]]];
+        },
+        approve: async ({to, args, amount}) => {
+            const value = await amount(to, args.amount);
+            return [`Allow ${args.spender} to spend ${value}`, [["amount", value], ["spender", args.spender]]];
+        }
+    },
+
+    wftm: {
+        deposit: async ({to, value, ftm, token}) => {
+            const info = await token(to);
+            const amount = ftm(value);
+            return [`Wrap ${amount} into ${info ? info.symbol : WFTM_SYMBOL}`, [["amount", amount]]];
+        },
+        withdraw: async ({to, args, token}) => {
+            const info = await token(to);
+            const amount = formatAmount(args.amount, FTM_DECIMALS, info ? info.symbol : WFTM_SYMBOL);
+            return [`Unwrap ${amount} into ${FTM_SYMBOL}`, [["amount", amount]]];
+        }
+    },
+
+    fmint: {
+        mustDeposit: async ({args, amount}) => {
+            const value = await amount(args._token, args._amount);
+            return [`Deposit ${value} as fMint collateral`, [["amount", value]]];
+        },
+        mustWithdraw: async ({args, amount}) => {
+            const value = await amount(args._token, args._amount);
+            return [`Withdraw ${value} of fMint collateral`, [["amount", value]]];
+        },
+        mustMint: async ({args, amount}) => {
+            const value = await amount(args._token, args._amount);
+            return [`Mint ${value} on fMint`, [["amount", value]]];
+        },
+        mustMintMax: async ({args, symbol}) => {
+            const token = await symbol(args._token);
+            const ratio = `${formatUnits(new BN(args._ratio, 10).muln(100), FMINT_RATIO_DECIMALS)}%`;
+            return [`Mint max ${token} on fMint keeping ${ratio} collateral ratio`, [["token", token], ["ratio", ratio]]];
+        },
+        mustRepay: async ({args, amount}) => {
+            const value = await amount(args._token, args._amount);
+            return [`Repay ${value} on fMint`, [["amount", value]]];
+        },
+        mustRepayMax: async ({args, symbol}) => {
+            const token = await symbol(args._token);
+            return [`Repay all ${token} debt on fMint`, [["token", token]]];
+        },
+        mustRewardClaim: async () => ["Claim fMint rewards", []],
+        mustRewardPush: async () => ["Push fMint rewards", []]
+    },
+
+    flend: {
+        deposit: async ({args, amount}) => {
+            const value = await amount(args.asset, args.amount);
+            return [`Deposit ${value} to fLend`, [["amount", value], ["onBehalfOf", args.onBehalfOf]]];
+        },
+        withdraw: async ({args, amount, symbol}) => {
+            // the max amount withdraws the entire balance
+            const value = new BN(args.amount, 10).eq(MAX_UINT256) ? `entire ${await symbol(args.asset)} balance` : await amount(args.asset, args.amount);
+            return [`Withdraw ${value} from fLend`, [["amount", value], ["recipient", args.to]]];
+        },
+        borrow: async ({args, amount}) => {
+            const value = await amount(args.asset, args.amount);
+            const mode = FLEND_RATE_MODES[args.interestRateMode] || args.interestRateMode;
+            return [`Borrow ${value} from fLend at ${mode} rate`, [["amount", value], ["rateMode", mode], ["onBehalfOf", args.onBehalfOf]]];
+        },
+        repay: async ({args, amount}) => {
+            const value = await amount(args.asset, args.amount);
+            const mode = FLEND_RATE_MODES[args.rateMode] || args.rateMode;
+            return [`Repay ${value} of ${mode} rate fLend debt`, [["amount", value], ["rateMode", mode], ["onBehalfOf", args.onBehalfOf]]];
+        },
+        swapBorrowRateMode: async ({args, symbol}) => {
+            const token = await symbol(args.asset);
+            const mode = FLEND_RATE_MODES[args.rateMode] || args.rateMode;
+            return [`Swap ${mode} rate ${token} fLend debt to the other rate mode`, [["token", token], ["rateMode", mode]]];
+        },
+        setUserUseReserveAsCollateral: async ({args, symbol}) => {
+            const token = await symbol(args.asset);
+            return [`${args.useAsCollateral ? "Use" : "Stop using"} ${token} as fLend collateral`, [
+                ["token", token], ["useAsCollateral", args.useAsCollateral ? "yes" : "no"]
+            ]];
+        },
+        flashLoan: async ({args, amount}) => {
+            const values = await Promise.all(args.assets.map((asset, i) => amount(asset, args.amounts[i])));
+            return [`Flash loan ${values.join(", ")} from fLend`, [["amounts", values.join(", ")], ["receiver", args.receiverAddress]]];
+        },
+        liquidationCall: async ({args, amount, symbol}) => {
+            const debt = await amount(args.debtAsset, args.debtToCover);
+            const collateral = await symbol(args.collateralAsset);
+            return [`Liquidate ${args.user} covering ${debt} of debt for ${collateral} collateral`, [
+                ["amount", debt], ["collateral", collateral], ["user", args.user]
+            ]];
+        }
+    },
+
+    uniswap: {
+        addLiquidity: async ({args, amount, formatTime}) => {
+            const a = await amount(args.tokenA, args.amountADesired);
+            const b = await amount(args.tokenB, args.amountBDesired);
+            return [`Add liquidity of ${a} and ${b}`, [
+                ["amountA", a], ["amountB", b], ["recipient", args.to], ["deadline", formatTime(parseInt(args.deadline, 10))]
+            ]];
+        },
+        addLiquidityETH: async ({args, value, amount, ftm, formatTime}) => {
+            const a = await amount(args.token, args.amountTokenDesired);
+            const b = ftm(value);
+            return [`Add liquidity of ${a} and ${b}`, [
+                ["amountA", a], ["amountB", b], ["recipient", args.to], ["deadline", formatTime(parseInt(args.deadline, 10))]
+            ]];
+        },
+        removeLiquidity: async ({args, amount, formatTime}) => {
+            const a = await amount(args.tokenA, args.amountAMin);
+            const b = await amount(args.tokenB, args.amountBMin);
+            const liquidity = formatAmount(args.liquidity, FTM_DECIMALS, "LP");
+            return [`Remove ${liquidity} liquidity for at least ${a} and ${b}`, [
+                ["liquidity", liquidity], ["amountA", a], ["amountB", b], ["recipient", args.to], ["deadline", formatTime(parseInt(args.deadline, 10))]
+            ]];
+        },
+        removeLiquidityETH: async ({args, amount, ftm, formatTime}) => {
+            const a = await amount(args.token, args.amountTokenMin);
+            const b = ftm(args.amountETHMin);
+            const liquidity = formatAmount(args.liquidity, FTM_DECIMALS, "LP");
+            return [`Remove ${liquidity} liquidity for at least ${a} and ${b}`, [
+                ["liquidity", liquidity], ["amountA", a], ["amountB", b], ["recipient", args.to], ["deadline", formatTime(parseInt(args.deadline, 10))]
+            ]];
+        },
+        swapExactTokensForTokens: async (ctx) => swap(ctx, "exactly", await ctx.amount(ctx.args.path[0], ctx.args.amountIn),
+            "at least", await ctx.amount(ctx.args.path[ctx.args.path.length - 1], ctx.args.amountOutMin)),
+        swapExactETHForTokens: async (ctx) => swap(ctx, "exactly", ctx.ftm(ctx.value),
+            "at least", await ctx.amount(ctx.args.path[ctx.args.path.length - 1], ctx.args.amountOutMin)),
+        swapTokensForExactTokens: async (ctx) => swap(ctx, "at most", await ctx.amount(ctx.args.path[0], ctx.args.amountInMax),
+            "exactly", await ctx.amount(ctx.args.path[ctx.args.path.length - 1], ctx.args.amountOut)),
+        swapETHForExactTokens: async (ctx) => swap(ctx, "at most", ctx.ftm(ctx.value),
+            "exactly", await ctx.amount(ctx.args.path[ctx.args.path.length - 1], ctx.args.amountOut)),
+        swapTokensForExactETH: async (ctx) => swap(ctx, "at most", await ctx.amount(ctx.args.path[0], ctx.args.amountInMax),
+            "exactly", ctx.ftm(ctx.args.amountOut)),
+        swapExactTokensForETH: async (ctx) => swap(ctx, "exactly", await ctx.amount(ctx.args.path[0], ctx.args.amountIn),
+            "at least", ctx.ftm(ctx.args.amountOutMin))
+    },
+
+    governance: {
+        vote: async ({args}) => {
+            const choices = `[${args.choices.join(",")}]`;
+            return [`Vote on proposal ${args.proposalID} with choices ${choices}`, [
+                ["proposal", args.proposalID], ["choices", choices], ["delegatedTo", args.delegatedTo]
+            ]];
+        },
+        cancelVote: async ({args}) => [
+            `Cancel vote on proposal ${args.proposalID}`, [["proposal", args.proposalID], ["delegatedTo", args.delegatedTo]]
+        ]
+    }
+};
+
+/**
+ * swap makes the summary of Uniswap swap calls.
+ *
+ * @param {{}} ctx
+ * @param {string} inBound "exactly", or "at most"
+ * @param {string} amountIn Formatted input amount.
+ * @param {string} outBound "exactly", or "at least"
+ * @param {string} amountOut Formatted output amount.
+ * @returns {Promise<[string, []]>}
+ */
+async function swap(ctx, inBound, amountIn, outBound, amountOut) {
+    const route = (await Promise.all(ctx.args.path.map(ctx.symbol))).join("→");
+    const deadline = ctx.formatTime(parseInt(ctx.args.deadline, 10));
+    return [`Swap ${inBound} ${amountIn} for ${outBound} ${amountOut} via ${route}, deadline ${deadline}`, [
+        ["amountIn", amountIn], ["amountOut", amountOut], ["route", route], ["recipient", ctx.args.to], ["deadline", deadline]
+    ]];
+}
+
+/**
+ * summarizeTransaction makes plain language summary of the transaction with the list
+ * of structured fields for confirmation screens. Contract calls of the library builders
+ * are described by their meaning, other calls by the called address and the call data size.
+ *
+ * @param {{to: string|null, value: string|number|BN|BigNumber|undefined, data: string|undefined}} tx Transaction
+ *        as made by the builders, or decoded by decodeRawTransaction().
+ * @param {{resolveToken: function|undefined, formatTime: function|undefined}} options Token resolver
+ *        giving {symbol, decimals} of the token address, or null if not known (may be async);
+ *        and the formatter of unix timestamps.
+ * @returns {Promise<{protocol: string|null, method: string|null, text: string, fields: [{name: string, value: string}], call: {}|null}>}
+ */
+export async function summarizeTransaction(tx, {resolveToken = undefined, formatTime = defaultFormatTime} = {}) {
+    Assert.isObject(tx, "tx");
+
+    // decode the call and pick the summary maker
+    const data = tx.data || "0x";
+    const call = decodeCall(tx.to || null, data);
+    const ctx = makeContext(tx, call, {resolveToken, formatTime});
+    const make = call && SUMMARIES[call.protocol] && SUMMARIES[call.protocol][call.method];
+
+    let text, fields;
+    if (make) {
+        [text, fields] = await make(ctx);
+    } else if (!tx.to) {
+        [text, fields] = ["Deploy a contract", [["value", ctx.ftm(ctx.value)]]];
+    } else if ("0x" === data || 0 === data.length) {
+        const amount = ctx.ftm(ctx.value);
+        [text, fields] = [`Send ${amount} to ${tx.to}`, [["amount", amount], ["recipient", tx.to]]];
+    } else {
+        const size = Buffer.isBuffer(data) ? data.length : (data.length - 2) / 2;
+        [text, fields] = [`Call contract ${tx.to} with ${size} bytes of data`, [["value", ctx.ftm(ctx.value)], ["contract", tx.to]]];
+    }
+
+    return {
+        protocol: call ? call.protocol : null,
+        method: call ? call.method : null,
+        text,
+        fields: fields.map(([name, value]) => ({name, value: String(value)})),
+        call
+    };
+}
+
+// what we export here
+export default {
+    summarizeTransaction
+};
@@ -1,6 +1,10 @@
 // import needed libs
 import Web3 from 'web3';
 import web3Utils from "web3-utils";
+import {Assert, withAccessList} from "./utils";
+import {resolveAmount} from "./units-utils";
+import {getMethodAbi} from "./abi-registry";
+import {builderOptions, resolveContract, withChainId} from "./networks";
 
 // ZERO_AMOUNT represents zero amount transferred on some calls.
 const ZERO_AMOUNT = '0x0';
@@ -13,12 +17,19 @@ const {abi: UNISWAP_ROUTER_ABI} = require('./abi/uniswap-router');
  * used by the Uniswap protocol.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
+ * @param {BuilderOptions|undefined} options
  * @returns Promise<string>
  */
-function uniswapNativeTokenAddress(web3, routerAddress) {
+function uniswapNativeTokenAddress(web3, routerAddress, options) {
+    // resolve the builder options
+    const {network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router} = resolveContract(routerAddress, network, "uniswapRouter");
+
     // access the contract
-    const contract = new web3.eth.Contract(UNISWAP_ROUTER_ABI, routerAddress);
+    const contract = new web3.eth.Contract(UNISWAP_ROUTER_ABI, router);
     return contract.methods.WETH().call();
 }
 
@@ -29,17 +40,26 @@ function uniswapNativeTokenAddress(web3, routerAddress) {
  * on the input, or output, use Wrapped FTM token address instead.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
- * @param {string|{BN}} amountIn
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
+ * @param {string|{BN}|{amount: string, decimals: number}} amountIn
  * @param {[string]} path
+ * @param {BuilderOptions|undefined} options
  * @returns Promise<[BN]>
  */
-function uniswapAmountsOut(web3, routerAddress, amountIn, path) {
+function uniswapAmountsOut(web3, routerAddress, amountIn, path, options) {
+    // resolve the builder options
+    const {network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router} = resolveContract(routerAddress, network, "uniswapRouter");
+    Assert.isArray(path);
+    path.forEach(addr => Assert.isAddress(addr));
+
     // access the contract and make sure to access it with the latest confirmed block context
-    const contract = new web3.eth.Contract(UNISWAP_ROUTER_ABI, routerAddress);
+    const contract = new web3.eth.Contract(UNISWAP_ROUTER_ABI, router);
     contract.defaultBlock = "latest";
 
-    return contract.methods.getAmountsOut(amountIn, path).call();
+    return contract.methods.getAmountsOut(resolveAmount(amountIn, "amountIn"), path).call();
 }
 
 /**
@@ -49,17 +69,26 @@ function uniswapAmountsOut(web3, routerAddress, amountIn, path) {
  * on the input, or output, use Wrapped FTM token address instead.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
- * @param {string|{BN}} amountOut
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
+ * @param {string|{BN}|{amount: string, decimals: number}} amountOut
  * @param {[string]} path
+ * @param {BuilderOptions|undefined} options
  * @returns Promise<[BN]>
  */
-function uniswapAmountsIn(web3, routerAddress, amountOut, path) {
+function uniswapAmountsIn(web3, routerAddress, amountOut, path, options) {
+    // resolve the builder options
+    const {network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router} = resolveContract(routerAddress, network, "uniswapRouter");
+    Assert.isArray(path);
+    path.forEach(addr => Assert.isAddress(addr));
+
     // access the contract and make sure to access it with the latest confirmed block context
-    const contract = new web3.eth.Contract(UNISWAP_ROUTER_ABI, routerAddress);
+    const contract = new web3.eth.Contract(UNISWAP_ROUTER_ABI, router);
     contract.defaultBlock = "latest";
 
-    return contract.methods.getAmountsIn(amountOut, path).call();
+    return contract.methods.getAmountsIn(resolveAmount(amountOut, "amountOut"), path).call();
 }
 
 /**
@@ -67,15 +96,16 @@ function uniswapAmountsIn(web3, routerAddress, amountOut, path) {
  * to a Uniswap pool defined by pair of tokens.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
  * @param {string} tokenA
  * @param {string} tokenB
- * @param {string|{BN}} amountADesired
- * @param {string|{BN}} amountBDesired
- * @param {string|{BN}} amountAMin
- * @param {string|{BN}} amountBMin
+ * @param {string|{BN}|{amount: string, decimals: number}} amountADesired
+ * @param {string|{BN}|{amount: string, decimals: number}} amountBDesired
+ * @param {string|{BN}|{amount: string, decimals: number}} amountAMin
+ * @param {string|{BN}|{amount: string, decimals: number}} amountBMin
  * @param {string} to
  * @param {string|{BN}} deadline
+ * @param {BuilderOptions|undefined} options
  * @returns {{data: string, to: *, value: string}}
  */
 function uniswapAddLiquidity(
@@ -88,79 +118,33 @@ function uniswapAddLiquidity(
     amountAMin,
     amountBMin,
     to,
-    deadline
+    deadline,
+    options
 ) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router, chainId} = resolveContract(routerAddress, network, "uniswapRouter");
+    Assert.isAddress(tokenA);
+    Assert.isAddress(tokenB);
+    Assert.isAddress(to);
+
     // make the transaction
-    return {
-        to: routerAddress,
+    return withAccessList(withChainId({
+        to: router,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "tokenA",
-                    "type": "address"
-                },
-                {
-                    "internalType": "address",
-                    "name": "tokenB",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountADesired",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountBDesired",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountAMin",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountBMin",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "address",
-                    "name": "to",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "deadline",
-                    "type": "uint256"
-                }
-            ],
-            "name": "addLiquidity",
-            "outputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "amountA",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountB",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "liquidity",
-                    "type": "uint256"
-                }
-            ],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [tokenA, tokenB, amountADesired, amountBDesired, amountAMin, amountBMin, to, deadline])
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("uniswap", "addLiquidity"), [
+            tokenA,
+            tokenB,
+            resolveAmount(amountADesired, "amountADesired"),
+            resolveAmount(amountBDesired, "amountBDesired"),
+            resolveAmount(amountAMin, "amountAMin"),
+            resolveAmount(amountBMin, "amountBMin"),
+            to,
+            deadline
+        ])
+    }, chainId), accessList);
 }
 
 /**
@@ -168,14 +152,15 @@ function uniswapAddLiquidity(
  * to a Uniswap pool of the native token and another pair token.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
  * @param {string} token
- * @param {string|{BN}} amountTokenDesired
- * @param {string|{BN}} amountFtmDesired
- * @param {string|{BN}} amountTokenMin
- * @param {string|{BN}} amountFtmMin
+ * @param {string|{BN}|{amount: string, decimals: number}} amountTokenDesired
+ * @param {string|{BN}|{amount: string, decimals: number}} amountFtmDesired
+ * @param {string|{BN}|{amount: string, decimals: number}} amountTokenMin
+ * @param {string|{BN}|{amount: string, decimals: number}} amountFtmMin
  * @param {string} to
  * @param {string|{BN}} deadline
+ * @param {BuilderOptions|undefined} options
  * @returns {{data: string, to: *, value: string}}
  */
 function uniswapAddLiquidityFtm(
@@ -187,69 +172,30 @@ function uniswapAddLiquidityFtm(
     amountTokenMin,
     amountFtmMin,
     to,
-    deadline
+    deadline,
+    options
 ) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router, chainId} = resolveContract(routerAddress, network, "uniswapRouter");
+    Assert.isAddress(token);
+    Assert.isAddress(to);
+
     // make the transaction
-    return {
-        to: routerAddress,
-        value: web3Utils.numberToHex(amountFtmDesired),
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "token",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountTokenDesired",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountTokenMin",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountETHMin",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "address",
-                    "name": "to",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "deadline",
-                    "type": "uint256"
-                }
-            ],
-            "name": "addLiquidityETH",
-            "outputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "amountToken",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountETH",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "liquidity",
-                    "type": "uint256"
-                }
-            ],
-            "payable": true,
-            "stateMutability": "payable",
-            "type": "function"
-        }, [token, amountTokenDesired, amountTokenMin, amountFtmMin, to, deadline])
-    };
+    return withAccessList(withChainId({
+        to: router,
+        value: web3Utils.numberToHex(resolveAmount(amountFtmDesired, "amountFtmDesired")),
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("uniswap", "addLiquidityETH"), [
+            token,
+            resolveAmount(amountTokenDesired, "amountTokenDesired"),
+            resolveAmount(amountTokenMin, "amountTokenMin"),
+            resolveAmount(amountFtmMin, "amountFtmMin"),
+            to,
+            deadline
+        ])
+    }, chainId), accessList);
 }
 
 /**
@@ -257,14 +203,15 @@ function uniswapAddLiquidityFtm(
  * from a Uniswap pool defined by pair of tokens.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
  * @param {string} tokenA
  * @param {string} tokenB
- * @param {string|{BN}} liquidity
- * @param {string|{BN}} amountAMin
- * @param {string|{BN}} amountBMin
+ * @param {string|{BN}|{amount: string, decimals: number}} liquidity
+ * @param {string|{BN}|{amount: string, decimals: number}} amountAMin
+ * @param {string|{BN}|{amount: string, decimals: number}} amountBMin
  * @param {string} to
  * @param {string|{BN}} deadline
+ * @param {BuilderOptions|undefined} options
  * @returns {{data: string, to: *, value: string}}
  */
 function uniswapRemoveLiquidity(
@@ -276,69 +223,32 @@ function uniswapRemoveLiquidity(
     amountAMin,
     amountBMin,
     to,
-    deadline
+    deadline,
+    options
 ) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router, chainId} = resolveContract(routerAddress, network, "uniswapRouter");
+    Assert.isAddress(tokenA);
+    Assert.isAddress(tokenB);
+    Assert.isAddress(to);
+
     // make the transaction
-    return {
-        to: routerAddress,
+    return withAccessList(withChainId({
+        to: router,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "tokenA",
-                    "type": "address"
-                },
-                {
-                    "internalType": "address",
-                    "name": "tokenB",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "liquidity",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountAMin",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountBMin",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "address",
-                    "name": "to",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "deadline",
-                    "type": "uint256"
-                }
-            ],
-            "name": "removeLiquidity",
-            "outputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "amountA",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountB",
-                    "type": "uint256"
-                }
-            ],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [tokenA, tokenB, liquidity, amountAMin, amountBMin, to, deadline])
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("uniswap", "removeLiquidity"), [
+            tokenA,
+            tokenB,
+            resolveAmount(liquidity, "liquidity"),
+            resolveAmount(amountAMin, "amountAMin"),
+            resolveAmount(amountBMin, "amountBMin"),
+            to,
+            deadline
+        ])
+    }, chainId), accessList);
 }
 
 /**
@@ -346,13 +256,14 @@ function uniswapRemoveLiquidity(
  * from a Uniswap pool of the native token and another pair token.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
  * @param {string} token
- * @param {string|{BN}} liquidity
- * @param {string|{BN}} amountTokenMin
- * @param {string|{BN}} amountFtmMin
+ * @param {string|{BN}|{amount: string, decimals: number}} liquidity
+ * @param {string|{BN}|{amount: string, decimals: number}} amountTokenMin
+ * @param {string|{BN}|{amount: string, decimals: number}} amountFtmMin
  * @param {string} to
  * @param {string|{BN}} deadline
+ * @param {BuilderOptions|undefined} options
  * @returns {{data: string, to: *, value: string}}
  */
 function uniswapRemoveLiquidityFtm(
@@ -363,64 +274,30 @@ function uniswapRemoveLiquidityFtm(
     amountTokenMin,
     amountFtmMin,
     to,
-    deadline
+    deadline,
+    options
 ) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router, chainId} = resolveContract(routerAddress, network, "uniswapRouter");
+    Assert.isAddress(token);
+    Assert.isAddress(to);
+
     // make the transaction
-    return {
-        to: routerAddress,
+    return withAccessList(withChainId({
+        to: router,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "token",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "liquidity",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountTokenMin",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountETHMin",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "address",
-                    "name": "to",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "deadline",
-                    "type": "uint256"
-                }
-            ],
-            "name": "removeLiquidityETH",
-            "outputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "amountToken",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountETH",
-                    "type": "uint256"
-                }
-            ],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [token, liquidity, amountTokenMin, amountFtmMin, to, deadline])
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("uniswap", "removeLiquidityETH"), [
+            token,
+            resolveAmount(liquidity, "liquidity"),
+            resolveAmount(amountTokenMin, "amountTokenMin"),
+            resolveAmount(amountFtmMin, "amountFtmMin"),
+            to,
+            deadline
+        ])
+    }, chainId), accessList);
 }
 
 /**
@@ -428,42 +305,25 @@ function uniswapRemoveLiquidityFtm(
  * of Uniswap pair share tokens from your address by the router.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
  * @param {string} pairAddress
- * @param {string|{BN}} amount
+ * @param {string|{BN}|{amount: string, decimals: number}} amount
+ * @param {BuilderOptions|undefined} options
  */
-function uniswapApproveShareTransfer(web3, routerAddress, pairAddress, amount) {
+function uniswapApproveShareTransfer(web3, routerAddress, pairAddress, amount, options) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router, chainId} = resolveContract(routerAddress, network, "uniswapRouter");
+    Assert.isAddress(pairAddress);
+
     // make the transaction
-    return {
+    return withAccessList(withChainId({
         to: pairAddress,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "address",
-                    "name": "spender",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "value",
-                    "type": "uint256"
-                }
-            ],
-            "name": "approve",
-            "outputs": [
-                {
-                    "internalType": "bool",
-                    "name": "",
-                    "type": "bool"
-                }
-            ],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [routerAddress, amount])
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("erc20", "approve"), [router, resolveAmount(amount)])
+    }, chainId), accessList);
 }
 
 /**
@@ -474,12 +334,13 @@ function uniswapApproveShareTransfer(web3, routerAddress, pairAddress, amount) {
  * Fuzziness of the call is towards the output. Allowance is required on input.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
- * @param {string|{BN}} amountIn
- * @param {string|{BN}} amountOutMin
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
+ * @param {string|{BN}|{amount: string, decimals: number}} amountIn
+ * @param {string|{BN}|{amount: string, decimals: number}} amountOutMin
  * @param {[string]} path
  * @param {string} to
  * @param {string|{BN}} deadline
+ * @param {BuilderOptions|undefined} options
  * @returns {{data: string, to: *, value: string}}
  */
 function uniswapExactTokensForTokens(
@@ -489,54 +350,24 @@ function uniswapExactTokensForTokens(
     amountOutMin,
     path,
     to,
-    deadline
+    deadline,
+    options
 ) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router, chainId} = resolveContract(routerAddress, network, "uniswapRouter");
+    Assert.isArray(path);
+    path.forEach(addr => Assert.isAddress(addr));
+    Assert.isAddress(to);
+
     // make the transaction
-    return {
-        to: routerAddress,
+    return withAccessList(withChainId({
+        to: router,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "amountIn",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountOutMin",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "address[]",
-                    "name": "path",
-                    "type": "address[]"
-                },
-                {
-                    "internalType": "address",
-                    "name": "to",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "deadline",
-                    "type": "uint256"
-                }
-            ],
-            "name": "swapExactTokensForTokens",
-            "outputs": [
-                {
-                    "internalType": "uint256[]",
-                    "name": "amounts",
-                    "type": "uint256[]"
-                }
-            ],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [amountIn, amountOutMin, path, to, deadline])
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("uniswap", "swapExactTokensForTokens"), [resolveAmount(amountIn, "amountIn"), resolveAmount(amountOutMin, "amountOutMin"), path, to, deadline])
+    }, chainId), accessList);
 }
 
 /**
@@ -548,12 +379,13 @@ function uniswapExactTokensForTokens(
  * from the singing account.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
- * @param {string|{BN}} amountIn
- * @param {string|{BN}} amountOutMin
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
+ * @param {string|{BN}|{amount: string, decimals: number}} amountIn
+ * @param {string|{BN}|{amount: string, decimals: number}} amountOutMin
  * @param {[string]} path
  * @param {string} to
  * @param {string|{BN}} deadline
+ * @param {BuilderOptions|undefined} options
  * @returns {{data: string, to: *, value: string}}
  */
 function uniswapExactFtmForTokens(
@@ -563,49 +395,24 @@ function uniswapExactFtmForTokens(
     amountOutMin,
     path,
     to,
-    deadline
+    deadline,
+    options
 ) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router, chainId} = resolveContract(routerAddress, network, "uniswapRouter");
+    Assert.isArray(path);
+    path.forEach(addr => Assert.isAddress(addr));
+    Assert.isAddress(to);
+
     // make the transaction
-    return {
-        to: routerAddress,
-        value: web3Utils.numberToHex(amountIn),
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "amountOutMin",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "address[]",
-                    "name": "path",
-                    "type": "address[]"
-                },
-                {
-                    "internalType": "address",
-                    "name": "to",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "deadline",
-                    "type": "uint256"
-                }
-            ],
-            "name": "swapExactETHForTokens",
-            "outputs": [
-                {
-                    "internalType": "uint256[]",
-                    "name": "amounts",
-                    "type": "uint256[]"
-                }
-            ],
-            "payable": true,
-            "stateMutability": "payable",
-            "type": "function"
-        }, [amountOutMin, path, to, deadline])
-    };
+    return withAccessList(withChainId({
+        to: router,
+        value: web3Utils.numberToHex(resolveAmount(amountIn, "amountIn")),
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("uniswap", "swapExactETHForTokens"), [resolveAmount(amountOutMin, "amountOutMin"), path, to, deadline])
+    }, chainId), accessList);
 }
 
 /**
@@ -617,12 +424,13 @@ function uniswapExactFtmForTokens(
  * on input token to cover the max amount offered.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
- * @param {string|{BN}} amountOut
- * @param {string|{BN}} amountInMax
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
+ * @param {string|{BN}|{amount: string, decimals: number}} amountOut
+ * @param {string|{BN}|{amount: string, decimals: number}} amountInMax
  * @param {[string]} path
  * @param {string} to
  * @param {string|{BN}} deadline
+ * @param {BuilderOptions|undefined} options
  * @returns {{data: string, to: *, value: string}}
  */
 function uniswapTokensForExactTokens(
@@ -632,54 +440,24 @@ function uniswapTokensForExactTokens(
     amountInMax,
     path,
     to,
-    deadline
+    deadline,
+    options
 ) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router, chainId} = resolveContract(routerAddress, network, "uniswapRouter");
+    Assert.isArray(path);
+    path.forEach(addr => Assert.isAddress(addr));
+    Assert.isAddress(to);
+
     // make the transaction
-    return {
-        to: routerAddress,
+    return withAccessList(withChainId({
+        to: router,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "amountOut",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountInMax",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "address[]",
-                    "name": "path",
-                    "type": "address[]"
-                },
-                {
-                    "internalType": "address",
-                    "name": "to",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "deadline",
-                    "type": "uint256"
-                }
-            ],
-            "name": "swapTokensForExactTokens",
-            "outputs": [
-                {
-                    "internalType": "uint256[]",
-                    "name": "amounts",
-                    "type": "uint256[]"
-                }
-            ],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [amountOut, amountInMax, path, to, deadline])
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("uniswap", "swapTokensForExactTokens"), [resolveAmount(amountOut, "amountOut"), resolveAmount(amountInMax, "amountInMax"), path, to, deadline])
+    }, chainId), accessList);
 }
 
 /**
@@ -692,12 +470,13 @@ function uniswapTokensForExactTokens(
  * after the swap will be returned back.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
- * @param {string|{BN}} amountOut
- * @param {string|{BN}} amountInMax
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
+ * @param {string|{BN}|{amount: string, decimals: number}} amountOut
+ * @param {string|{BN}|{amount: string, decimals: number}} amountInMax
  * @param {[string]} path
  * @param {string} to
  * @param {string|{BN}} deadline
+ * @param {BuilderOptions|undefined} options
  * @returns {{data: string, to: *, value: string}}
  */
 function uniswapFtmForExactTokens(
@@ -707,49 +486,24 @@ function uniswapFtmForExactTokens(
     amountInMax,
     path,
     to,
-    deadline
+    deadline,
+    options
 ) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router, chainId} = resolveContract(routerAddress, network, "uniswapRouter");
+    Assert.isArray(path);
+    path.forEach(addr => Assert.isAddress(addr));
+    Assert.isAddress(to);
+
     // make the transaction
-    return {
-        to: routerAddress,
-        value: web3Utils.numberToHex(amountInMax),
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "amountOut",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "address[]",
-                    "name": "path",
-                    "type": "address[]"
-                },
-                {
-                    "internalType": "address",
-                    "name": "to",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "deadline",
-                    "type": "uint256"
-                }
-            ],
-            "name": "swapETHForExactTokens",
-            "outputs": [
-                {
-                    "internalType": "uint256[]",
-                    "name": "amounts",
-                    "type": "uint256[]"
-                }
-            ],
-            "payable": true,
-            "stateMutability": "payable",
-            "type": "function"
-        }, [amountOut, path, to, deadline])
-    };
+    return withAccessList(withChainId({
+        to: router,
+        value: web3Utils.numberToHex(resolveAmount(amountInMax, "amountInMax")),
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("uniswap", "swapETHForExactTokens"), [resolveAmount(amountOut, "amountOut"), path, to, deadline])
+    }, chainId), accessList);
 }
 
 /**
@@ -761,12 +515,13 @@ function uniswapFtmForExactTokens(
  * on input token to cover the max amount offered. Native FTM is returned on success.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
- * @param {string|{BN}} amountOut
- * @param {string|{BN}} amountInMax
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
+ * @param {string|{BN}|{amount: string, decimals: number}} amountOut
+ * @param {string|{BN}|{amount: string, decimals: number}} amountInMax
  * @param {[string]} path
  * @param {string} to
  * @param {string|{BN}} deadline
+ * @param {BuilderOptions|undefined} options
  * @returns {{data: string, to: *, value: string}}
  */
 function uniswapTokensForExactFtm(
@@ -776,54 +531,24 @@ function uniswapTokensForExactFtm(
     amountInMax,
     path,
     to,
-    deadline
+    deadline,
+    options
 ) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router, chainId} = resolveContract(routerAddress, network, "uniswapRouter");
+    Assert.isArray(path);
+    path.forEach(addr => Assert.isAddress(addr));
+    Assert.isAddress(to);
+
     // make the transaction
-    return {
-        to: routerAddress,
+    return withAccessList(withChainId({
+        to: router,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "amountOut",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountInMax",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "address[]",
-                    "name": "path",
-                    "type": "address[]"
-                },
-                {
-                    "internalType": "address",
-                    "name": "to",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "deadline",
-                    "type": "uint256"
-                }
-            ],
-            "name": "swapTokensForExactETH",
-            "outputs": [
-                {
-                    "internalType": "uint256[]",
-                    "name": "amounts",
-                    "type": "uint256[]"
-                }
-            ],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [amountOut, amountInMax, path, to, deadline])
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("uniswap", "swapTokensForExactETH"), [resolveAmount(amountOut, "amountOut"), resolveAmount(amountInMax, "amountInMax"), path, to, deadline])
+    }, chainId), accessList);
 }
 
 /**
@@ -835,12 +560,13 @@ function uniswapTokensForExactFtm(
  * on input token to cover the max amount offered. Native FTM is returned on success.
  *
  * @param {Web3} web3
- * @param {string} routerAddress
- * @param {string|{BN}} amountIn
- * @param {string|{BN}} amountOutMin
+ * @param {string|null} routerAddress Address of the router contract; null to take it from the network.
+ * @param {string|{BN}|{amount: string, decimals: number}} amountIn
+ * @param {string|{BN}|{amount: string, decimals: number}} amountOutMin
  * @param {[string]} path
  * @param {string} to
  * @param {string|{BN}} deadline
+ * @param {BuilderOptions|undefined} options
  * @returns {{data: string, to: *, value: string}}
  */
 function uniswapExactTokensForFtm(
@@ -850,54 +576,24 @@ function uniswapExactTokensForFtm(
     amountOutMin,
     path,
     to,
-    deadline
+    deadline,
+    options
 ) {
+    // resolve the builder options
+    const {accessList, network} = builderOptions(options);
+
+    // validate addresses
+    const {address: router, chainId} = resolveContract(routerAddress, network, "uniswapRouter");
+    Assert.isArray(path);
+    path.forEach(addr => Assert.isAddress(addr));
+    Assert.isAddress(to);
+
     // make the transaction
-    return {
-        to: routerAddress,
+    return withAccessList(withChainId({
+        to: router,
         value: ZERO_AMOUNT,
-        data: web3.eth.abi.encodeFunctionCall({
-            "constant": false,
-            "inputs": [
-                {
-                    "internalType": "uint256",
-                    "name": "amountIn",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "amountOutMin",
-                    "type": "uint256"
-                },
-                {
-                    "internalType": "address[]",
-                    "name": "path",
-                    "type": "address[]"
-                },
-                {
-                    "internalType": "address",
-                    "name": "to",
-                    "type": "address"
-                },
-                {
-                    "internalType": "uint256",
-                    "name": "deadline",
-                    "type": "uint256"
-                }
-            ],
-            "name": "swapExactTokensForETH",
-            "outputs": [
-                {
-                    "internalType": "uint256[]",
-                    "name": "amounts",
-                    "type": "uint256[]"
-                }
-            ],
-            "payable": false,
-            "stateMutability": "nonpayable",
-            "type": "function"
-        }, [amountIn, amountOutMin, path, to, deadline])
-    };
+        data: web3.eth.abi.encodeFunctionCall(getMethodAbi("uniswap", "swapExactTokensForETH"), [resolveAmount(amountIn, "amountIn"), resolveAmount(amountOutMin, "amountOutMin"), path, to, deadline])
+    }, chainId), accessList);
 }
 
 // what we export here
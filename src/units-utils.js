@@ -0,0 +1,153 @@
+/**
+ * Implements decimal safe conversion between human readable token amounts,
+ * e.g. "1.5 FTM", and the raw integer amounts in the smallest token units
+ * used by the contracts and transactions. No floating point math is involved.
+ */
+
+// import needed libs
+import {BN} from "ethereumjs-util";
+import {Assert, parseQuantity} from "./utils";
+
+// FTM_DECIMALS represents the number of decimals of the native FTM token.
+export const FTM_DECIMALS = 18;
+
+// FTM_SYMBOL represents the symbol of the native FTM token.
+export const FTM_SYMBOL = "FTM";
+
+// MAX_DECIMALS represents the highest number of token decimals we accept.
+const MAX_DECIMALS = 77;
+
+// AMOUNT_PATTERN represents a decimal amount with optional thousands separators
+// and an optional unit symbol, e.g. "1,000.5 FTM"
+const AMOUNT_PATTERN = /^(\d+|\d{1,3}(?:,\d{3})+)?(?:\.(\d*))?(?:\s+([a-zA-Z][a-zA-Z0-9]*))?$/;
+
+/**
+ * toAmountBN parses raw amount given as a number, decimal, or hex string, BN, or buffer.
+ *
+ * @param {number|string|BN|Buffer} value
+ * @param {string} field
+ * @returns {BN}
+ */
+function toAmountBN(value, field) {
+    // decimal strings are common on amounts received from the RPC calls
+    if ("string" === typeof value && /^-?\d+$/.test(value)) {
+        return new BN(value, 10);
+    }
+    if ("number" === typeof value) {
+        Assert.check(Number.isSafeInteger(value), "isAmount", field, value);
+        return new BN(value);
+    }
+    if (BN.isBN(value)) {
+        return value;
+    }
+    return parseQuantity(value, field);
+}
+
+/**
+ * parseUnits converts human readable decimal amount into the raw integer amount
+ * in the smallest token units, e.g. parseUnits("1.5", 18) is 1500000000000000000.
+ * The amount may carry the unit symbol, e.g. "1.5 FTM", if it matches the expected one;
+ * FTM is expected on 18 decimals amounts if no other symbol is given.
+ *
+ * @param {string|number} value Decimal amount, e.g. "1.5", "1,000.25", or "1.5 FTM"; numbers must be safe integers.
+ * @param {number} decimals Number of decimals of the token.
+ * @param {{symbol: string|undefined, field: string|undefined}} options Expected unit symbol of the amount
+ *        and the field name used to report validation failures.
+ * @returns {BN}
+ */
+export function parseUnits(value, decimals = FTM_DECIMALS, {symbol = undefined, field = "amount"} = {}) {
+    Assert.isInteger(decimals, "decimals");
+    Assert.check(decimals >= 0 && decimals <= MAX_DECIMALS, "decimals", "decimals", decimals);
+
+    // numbers are accepted as whole amounts only, floating point values
+    // may not represent the decimal amount exactly and must be given as strings
+    if ("number" === typeof value) {
+        Assert.check(Number.isSafeInteger(value) && value >= 0, "isAmount", field, value);
+        value = String(value);
+    }
+
+    Assert.isString(value, field);
+    const match = AMOUNT_PATTERN.exec(value.trim());
+    Assert.check(null !== match && (undefined !== match[1] || !!match[2]), "isAmount", field, value);
+
+    // the unit symbol must match the token
+    if (undefined !== match[3]) {
+        const unit = (undefined !== symbol) ? symbol : ((FTM_DECIMALS === decimals) ? FTM_SYMBOL : "");
+        Assert.check(match[3].toUpperCase() === unit.toUpperCase(), "unitSymbol", field, value);
+    }
+
+    // the amount must be representable in the token units
+    const whole = (match[1] || "0").replace(/,/g, "");
+    const fraction = (match[2] || "").replace(/0+$/, "");
+    Assert.check(fraction.length <= decimals, "maxDecimals", field, value);
+
+    return new BN(whole + fraction.padEnd(decimals, "0"), 10);
+}
+
+/**
+ * formatUnits converts raw integer amount in the smallest token units
+ * into human readable decimal amount, e.g. formatUnits("0x14d1120d7b160000", 18) is "1.5".
+ *
+ * @param {number|string|BN|Buffer} value Raw amount as a number, decimal, or hex string, BN, or buffer.
+ * @param {number} decimals Number of decimals of the token.
+ * @param {{precision: number|undefined, grouping: boolean|undefined, symbol: string|undefined}} options
+ *        Max number of decimal places, the extra digits are truncated; thousands separators;
+ *        and unit symbol appended to the amount.
+ * @returns {string}
+ */
+export function formatUnits(value, decimals = FTM_DECIMALS, {precision = undefined, grouping = false, symbol = undefined} = {}) {
+    Assert.isInteger(decimals, "decimals");
+    Assert.check(decimals >= 0 && decimals <= MAX_DECIMALS, "decimals", "decimals", decimals);
+    if (undefined !== precision) {
+        Assert.isUint8(precision, "precision");
+    }
+
+    // split the amount digits into the whole and the fraction part
+    const amount = toAmountBN(value, "amount");
+    const digits = amount.abs().toString(10).padStart(decimals + 1, "0");
+    let whole = digits.slice(0, digits.length - decimals);
+    let fraction = digits.slice(digits.length - decimals);
+
+    // truncate extra decimal places and drop trailing zeros
+    if (undefined !== precision) {
+        fraction = fraction.slice(0, precision);
+    }
+    fraction = fraction.replace(/0+$/, "");
+
+    // add thousands separators
+    if (grouping) {
+        whole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+    }
+
+    const sign = (amount.isNeg() && ("" !== fraction || /[1-9]/.test(whole))) ? "-" : "";
+    const formatted = sign + whole + (("" !== fraction) ? "." + fraction : "");
+    return symbol ? `${formatted} ${symbol}` : formatted;
+}
+
+/**
+ * resolveAmount resolves amount given to a transaction builder. Raw amounts in the smallest
+ * token units are returned as they are; amounts with the decimals hint, e.g. {amount: "1.5", decimals: 18},
+ * are converted to the raw amount using parseUnits().
+ *
+ * @param {number|string|BN|{amount: string|number, decimals: number, symbol: string|undefined}} amount
+ * @param {string} field Name of the amount used to report validation failures.
+ * @returns {number|string|BN}
+ */
+export function resolveAmount(amount, field = "amount") {
+    if ("object" === typeof amount && null !== amount && !BN.isBN(amount) && amount.hasOwnProperty("decimals")) {
+        return "0x" + parseUnits(amount.amount, amount.decimals, {symbol: amount.symbol, field}).toString(16);
+    }
+    if ("number" === typeof amount) {
+        Assert.check(Number.isSafeInteger(amount) && amount >= 0, "isAmount", field, amount);
+    }
+    return amount;
+}
+
+// what we export here
+export default {
+    FTM_DECIMALS,
+    FTM_SYMBOL,
+    parseUnits,
+    formatUnits,
+    resolveAmount
+};
@@ -1,106 +1,502 @@
+import {
+    BN,
+    ecrecover,
+    isValidChecksumAddress,
+    keccak256,
+    publicToAddress,
+    toChecksumAddress
+} from "ethereumjs-util";
+import {decode, encode} from "rlp";
+import {InvalidPathError, InvalidTransactionDataError, ValidationError} from "./errors";
+
 // BIP32_HARDENED specifies BIP32 path element which is to be hardened.
 export const BIP32_HARDENED = 0x80000000;
 
+// BIP32_MAX_PATH_LENGTH represents the max number of BIP32 path elements the Ledger device accepts.
+const BIP32_MAX_PATH_LENGTH = 10;
+
 // MAX_FTM_TRANSFER_STR represents maximum amount of FTM tokens (in WEI units) transferable by a transaction.
 const MAX_FTM_TRANSFER_STR = ["2", "284", "136", "835", "000000000000000000"].join("");
 
+// MIN_TX_GAS_LIMIT represents the intrinsic gas of the simplest value transfer transaction.
+const MIN_TX_GAS_LIMIT = 21000;
+
+// MAX_TX_GAS_LIMIT represents the highest gas limit we accept on a single transaction;
+// anything above is most likely a typo in the transaction details.
+const MAX_TX_GAS_LIMIT = 30000000;
+
+// MAX_TX_NONCE_STR represents the highest account nonce allowed by EIP-2681, e.g. 2^64 - 1.
+const MAX_TX_NONCE_STR = "18446744073709551615";
+
+// TX_TYPE represents EIP-2718 transaction envelope types we are able to process
+export const TX_TYPE = {
+    LEGACY: 0x00,
+    ACCESS_LIST: 0x01,
+    DYNAMIC_FEE: 0x02
+};
+
 // REQUIRED_TX_ATTRIBUTES represents a list of object attributes we require
 // on an outgoing transaction
 const REQUIRED_TX_ATTRIBUTES = [
     "nonce", "gasPrice", "gasLimit", "value"
 ];
 
+// REQUIRED_DYNAMIC_FEE_TX_ATTRIBUTES represents a list of object attributes we require
+// on an outgoing EIP-1559 dynamic fee transaction
+const REQUIRED_DYNAMIC_FEE_TX_ATTRIBUTES = [
+    "nonce", "maxPriorityFeePerGas", "maxFeePerGas", "gasLimit", "value"
+];
+
+// QUANTITY_TX_ATTRIBUTES represents a list of numeric transaction attributes
+const QUANTITY_TX_ATTRIBUTES = [
+    "nonce", "gasPrice", "maxPriorityFeePerGas", "maxFeePerGas", "gasLimit", "value"
+];
+
+// RAW_TX_FIELDS represents the list of RLP encoded fields of signed transactions by the envelope type
+const RAW_TX_FIELDS = {
+    [TX_TYPE.LEGACY]: ["nonce", "gasPrice", "gasLimit", "to", "value", "data", "v", "r", "s"],
+    [TX_TYPE.ACCESS_LIST]: ["chainId", "nonce", "gasPrice", "gasLimit", "to", "value", "data", "accessList", "v", "r", "s"],
+    [TX_TYPE.DYNAMIC_FEE]: ["chainId", "nonce", "maxPriorityFeePerGas", "maxFeePerGas", "gasLimit", "to", "value", "data", "accessList", "v", "r", "s"]
+};
+
 // Assert implements set of assertions used to validate data
-// before being processed
+// before being processed; each failed assertion throws ValidationError
+// identifying the failed rule, the field path and the offending value
 export const Assert = {
     // Generic check
-    check: (cond) => {
+    check: (cond, rule = "check", field = "value", value = undefined) => {
         if (!cond) {
-            throw new Error("Data validation failed!");
+            throw new ValidationError(rule, field, value);
         }
     },
 
-    // isString validates if the given data set is a string
-    isObject: (data) => {
-        Assert.check("object" === typeof data);
+    // isObject validates if the given data set is an object
+    isObject: (data, field = "value") => {
+        Assert.check("object" === typeof data && null !== data, "isObject", field, data);
     },
 
     // isString validates if the given data set is a string
-    isString: (data) => {
-        Assert.check("string" === typeof data);
+    isString: (data, field = "value") => {
+        Assert.check("string" === typeof data, "isString", field, data);
     },
 
     // isInteger validates that the give data is an integer number
-    isInteger: (data) => {
-        Assert.check(Number.isInteger(data));
+    isInteger: (data, field = "value") => {
+        Assert.check(Number.isInteger(data), "isInteger", field, data);
     },
 
     // isArray validates that the given data is an array
-    isArray: (data) => {
-        Assert.check(Array.isArray(data));
+    isArray: (data, field = "value") => {
+        Assert.check(Array.isArray(data), "isArray", field, data);
     },
 
     // isBuffer validates that the given data is a buffer
-    isBuffer: (data) => {
-        Assert.check(Buffer.isBuffer(data));
+    isBuffer: (data, field = "value") => {
+        Assert.check(Buffer.isBuffer(data), "isBuffer", field, data);
     },
 
     // isUint8 validates that the given data is an unsigned 8 bits integer value
-    isUint8: (data) => {
-        Assert.isInteger(data);
-        Assert.check(data >= 0);
-        Assert.check(data <= 255);
+    isUint8: (data, field = "value") => {
+        Assert.isInteger(data, field);
+        Assert.check(data >= 0 && data <= 255, "isUint8", field, data);
     },
 
     // isUint32 validates that the give data is an unsigned 32 bits integer value
-    isUint32: (data) => {
-        Assert.isInteger(data);
-        Assert.check(data >= 0);
-        Assert.check(data <= 4294967295);
+    isUint32: (data, field = "value") => {
+        Assert.isInteger(data, field);
+        Assert.check(data >= 0 && data <= 4294967295, "isUint32", field, data);
     },
 
     // isHexString validates that the data is a string containing a hexadecimal number
-    isHexString: (data) => {
-        Assert.isString(data);
-        Assert.check(0 === data.length % 2);
-        Assert.check(/^[0-9a-fA-F]*$/.test(data));
+    isHexString: (data, field = "value") => {
+        Assert.isString(data, field);
+        Assert.check(0 === data.length % 2 && /^[0-9a-fA-F]*$/.test(data), "isHexString", field, data);
+    },
+
+    // isQuantity validates that the data is a non-negative integer given as a number,
+    // "0x" prefixed hex string, BN, ethers BigNumber, or a buffer
+    isQuantity: (data, field = "value") => {
+        parseQuantity(data, field);
+    },
+
+    // isHexData validates that the data is a buffer, or "0x" prefixed string of hex encoded bytes
+    isHexData: (data, field = "data") => {
+        if (!Buffer.isBuffer(data)) {
+            Assert.isString(data, field);
+            Assert.check(/^0x([0-9a-fA-F]{2})*$/.test(data), "isHexData", field, data);
+        }
+    },
+
+    // isAddress validates that the data is a hex encoded 20 bytes address with "0x" prefix;
+    // mixed case addresses must have a valid EIP-55 checksum
+    isAddress: (data, field = "address") => {
+        Assert.isString(data, field);
+        Assert.check(/^0x[0-9a-fA-F]{40}$/.test(data), "isAddress", field, data);
+
+        // all lower, or all upper case addresses don't carry the checksum
+        const hex = data.slice(2);
+        if (hex !== hex.toLowerCase() && hex !== hex.toUpperCase()) {
+            Assert.check(isValidChecksumAddress(data), "isChecksumAddress", field, data);
+        }
+    },
+
+    // isAddressData validates that the data is an address given either as a hex string,
+    // or as a 20 bytes buffer; an empty buffer stands for no address, e.g. a contract deployment
+    isAddressData: (data, field = "address") => {
+        if (Buffer.isBuffer(data)) {
+            Assert.check(0 === data.length || 20 === data.length, "isAddress", field, "0x" + data.toString("hex"));
+            return;
+        }
+        Assert.isAddress(data, field);
     },
 
     // hasAttribute validates that given object does have a specified attribute
-    hasAttribute: (obj, attr) => {
-        Assert.isObject(obj);
-        Assert.check(obj.hasOwnProperty(attr));
+    hasAttribute: (obj, attr, field = "value") => {
+        Assert.isObject(obj, field);
+        Assert.check(obj.hasOwnProperty(attr), "required", `${field}.${attr}`, undefined);
     },
 
     // isValidBip32Path validates give array for the BIP32 path validity
-    isValidBip32Path: (path) => {
-        Assert.isArray(path);
-        for (const x of path) {
-            Assert.isUint32(x);
-        }
+    isValidBip32Path: (path, field = "path") => rethrowAs(InvalidPathError, "Invalid BIP32 path.", () => {
+        Assert.isArray(path, field);
+        Assert.check(path.length >= 3 && path.length <= BIP32_MAX_PATH_LENGTH, "bip32PathLength", `${field}.length`, path.length);
+        path.forEach((x, i) => Assert.isUint32(x, `${field}[${i}]`));
 
         // check for prefixes
-        Assert.check(path[0] === BIP32_HARDENED | 44);
-        Assert.check(path[1] === BIP32_HARDENED | 60);
+        Assert.check(path[0] === BIP32_HARDENED + 44, "bip44Purpose", `${field}[0]`, path[0]);
+        Assert.check(path[1] === BIP32_HARDENED + 60, "bip44CoinType", `${field}[1]`, path[1]);
 
         // account key is also expected to be hardened
-        Assert.check(path[2] >= BIP32_HARDENED);
-    },
+        Assert.check(path[2] >= BIP32_HARDENED, "bip44HardenedAccount", `${field}[2]`, path[2]);
+    }),
 
     // isValidTransaction validates transaction for needed data elements
-    isValidTransaction: (tx) => {
+    isValidTransaction: (tx, field = "tx") => {
+        const errors = Assert.getTransactionErrors(tx, field);
+        if (0 < errors.length) {
+            throw new InvalidTransactionDataError(`Invalid transaction data. ${errors.map(e => e.message).join(" ")}`, {
+                cause: errors[0],
+                errors
+            });
+        }
+    },
+
+    // getTransactionErrors validates transaction for needed data elements
+    // and returns the list of all the validation errors found
+    getTransactionErrors: (tx, field = "tx") => {
         // it could be the Transaction object itself
-        if ("object" === typeof tx && tx.hasOwnProperty("raw") && Array.isArray(tx.raw)) {
-            return
+        if ("object" === typeof tx && null !== tx && tx.hasOwnProperty("raw") && Array.isArray(tx.raw)) {
+            return [];
+        }
+
+        // not even a transaction
+        const errors = collectErrors([() => Assert.isObject(tx, field)]);
+        if (0 < errors.length) {
+            return errors;
         }
 
+        // pick the list of required fields by the transaction type
+        let required = [];
+        errors.push(...collectErrors([() => {
+            switch (getTransactionType(tx)) {
+                case TX_TYPE.LEGACY:
+                case TX_TYPE.ACCESS_LIST:
+                    required = REQUIRED_TX_ATTRIBUTES;
+                    break;
+                case TX_TYPE.DYNAMIC_FEE:
+                    required = REQUIRED_DYNAMIC_FEE_TX_ATTRIBUTES;
+                    break;
+                default:
+                    // unknown transaction envelope type
+                    Assert.check(false, "txType", `${field}.type`, tx.type);
+            }
+        }]));
+
         // validate fields
-        for (let i = 0; i < REQUIRED_TX_ATTRIBUTES.length; i++) {
-            Assert.hasAttribute(tx, REQUIRED_TX_ATTRIBUTES [i]);
+        errors.push(...collectErrors(required.map(attr => () => Assert.hasAttribute(tx, attr, field))));
+        errors.push(...getTransactionValueErrors(tx, field));
+
+        // validate access list, if any
+        if (undefined !== tx.accessList && null !== tx.accessList) {
+            errors.push(...Assert.getAccessListErrors(tx.accessList, `${field}.accessList`));
+        }
+        return errors;
+    },
+
+    // isValidAccessList validates EIP-2930 access list structure
+    isValidAccessList: (list, field = "accessList") => {
+        const errors = Assert.getAccessListErrors(list, field);
+        if (0 < errors.length) {
+            throw errors[0];
         }
+    },
+
+    // getAccessListErrors validates EIP-2930 access list structure
+    // and returns the list of all the validation errors found
+    getAccessListErrors: (list, field = "accessList") => {
+        const errors = collectErrors([() => Assert.isArray(list, field)]);
+        if (0 < errors.length) {
+            return errors;
+        }
+
+        list.forEach((item, i) => {
+            const itemField = `${field}[${i}]`;
+            const itemErrors = collectErrors([() => Assert.isObject(item, itemField)]);
+            if (0 < itemErrors.length) {
+                errors.push(...itemErrors);
+                return;
+            }
+
+            errors.push(...collectErrors([
+                // the address is a 20 bytes hex string
+                () => Assert.isAddress(item.address, `${itemField}.address`),
+
+                // storage keys are 32 bytes hex strings
+                () => {
+                    Assert.isArray(item.storageKeys, `${itemField}.storageKeys`);
+                    errors.push(...collectErrors(item.storageKeys.map((key, k) => () => {
+                        const keyField = `${itemField}.storageKeys[${k}]`;
+                        Assert.isString(key, keyField);
+                        Assert.check(/^0x[0-9a-fA-F]{64}$/.test(key), "isStorageKey", keyField, key);
+                    })));
+                }
+            ]));
+        });
+        return errors;
+    }
+};
+
+/**
+ * getTransactionValueErrors validates values of the transaction fields present
+ * on the transaction and returns the list of all the validation errors found.
+ *
+ * @param {{}} tx
+ * @param {string} field
+ * @returns {[ValidationError]}
+ */
+function getTransactionValueErrors(tx, field) {
+    // parse numeric fields
+    const amounts = {};
+    const errors = collectErrors(QUANTITY_TX_ATTRIBUTES
+        .filter(attr => tx.hasOwnProperty(attr))
+        .map(attr => () => {
+            amounts[attr] = parseQuantity(tx[attr], `${field}.${attr}`);
+        }));
+
+    // check the amounts make sense
+    errors.push(...collectErrors([
+        () => {
+            if (undefined !== amounts.nonce) {
+                Assert.check(amounts.nonce.lte(new BN(MAX_TX_NONCE_STR, 10)), "maxNonce", `${field}.nonce`, tx.nonce);
+            }
+        },
+        () => {
+            if (undefined !== amounts.gasLimit) {
+                Assert.check(amounts.gasLimit.gten(MIN_TX_GAS_LIMIT), "minGasLimit", `${field}.gasLimit`, tx.gasLimit);
+                Assert.check(amounts.gasLimit.lten(MAX_TX_GAS_LIMIT), "maxGasLimit", `${field}.gasLimit`, tx.gasLimit);
+            }
+        },
+        () => {
+            if (undefined !== amounts.value) {
+                Assert.check(amounts.value.lte(new BN(MAX_FTM_TRANSFER_STR, 10)), "maxTransfer", `${field}.value`, tx.value);
+            }
+        },
+        () => {
+            if (undefined !== amounts.maxFeePerGas && undefined !== amounts.maxPriorityFeePerGas) {
+                Assert.check(amounts.maxPriorityFeePerGas.lte(amounts.maxFeePerGas), "maxPriorityFee", `${field}.maxPriorityFeePerGas`, tx.maxPriorityFeePerGas);
+            }
+        },
+
+        // contract deployment transactions don't have the recipient
+        () => {
+            if (undefined !== tx.to && null !== tx.to) {
+                Assert.isAddressData(tx.to, `${field}.to`);
+            }
+        },
+        () => {
+            if (undefined !== tx.data && null !== tx.data) {
+                Assert.isHexData(tx.data, `${field}.data`);
+            }
+        }
+    ]));
+    return errors;
+}
+
+/**
+ * collectErrors runs all the given validations and collects their validation errors
+ * instead of stopping at the first failure. Other errors are re-thrown.
+ *
+ * @param {[function]} validations
+ * @returns {[ValidationError]}
+ */
+function collectErrors(validations) {
+    return validations.reduce((errors, validate) => {
+        try {
+            validate();
+        } catch (e) {
+            if (!(e instanceof ValidationError)) {
+                throw e;
+            }
+            errors.push(e);
+        }
+        return errors;
+    }, []);
+}
+
+/**
+ * rethrowAs runs the given validation and converts its failure
+ * into the typed error of the given class. The validation error details
+ * are kept in the errors list of the typed error.
+ *
+ * @param {function} ErrorType The error class to be thrown.
+ * @param {string} message The error message.
+ * @param {function} validate The validation to run.
+ */
+function rethrowAs(ErrorType, message, validate) {
+    try {
+        validate();
+    } catch (e) {
+        if (e instanceof ErrorType) {
+            throw e;
+        }
+        if (e instanceof ValidationError) {
+            throw new ErrorType(`${message} ${e.message}`, {cause: e, errors: [e]});
+        }
+        throw new ErrorType(message, {cause: e});
+    }
+}
+
+/**
+ * getTransactionType resolves EIP-2718 envelope type of the given transaction.
+ * Explicit "type" attribute has priority; transactions with EIP-1559 fee
+ * attributes are considered dynamic fee transactions, transactions with
+ * an access list are EIP-2930 transactions, all the others are legacy.
+ *
+ * @param {{}} tx
+ * @returns {number}
+ */
+export function getTransactionType(tx) {
+    Assert.isObject(tx, "tx");
+
+    // explicit type has been set on the transaction
+    if (undefined !== tx.type && null !== tx.type) {
+        const type = ("string" === typeof tx.type) ? parseInt(stripHexPrefix(tx.type), 16) : tx.type;
+        Assert.isUint8(type, "tx.type");
+        return type;
+    }
+
+    // dynamic fee fields present?
+    if (undefined !== tx.maxFeePerGas || undefined !== tx.maxPriorityFeePerGas) {
+        return TX_TYPE.DYNAMIC_FEE;
+    }
+
+    // access list present on a gas price based transaction?
+    if (undefined !== tx.accessList && null !== tx.accessList) {
+        return TX_TYPE.ACCESS_LIST;
+    }
+
+    return TX_TYPE.LEGACY;
+}
+
+// hardened makes a hardened BIP32 path element from the given index.
+function hardened(index) {
+    Assert.isUint32(index, "index");
+    Assert.check(index < BIP32_HARDENED, "nonHardenedIndex", "index", index);
+    return BIP32_HARDENED + index;
+}
+
+// PATH_SCHEMES represents named BIP32 derivation path layouts
+// mapping account and address identifiers to a BIP32 path.
+export const PATH_SCHEMES = {
+    // m/44'/60'/{account}'/0/{address} is the default Fantom Ledger layout
+    bip44: (accountId, addressId) => {
+        Assert.isUint8(accountId, "accountId");
+        Assert.isUint32(addressId, "addressId");
+        return [hardened(44), hardened(60), hardened(accountId), 0, addressId];
+    },
+
+    // m/44'/60'/{address}'/0/0 is the Ledger Live layout; each address lives in its own account
+    // so the account identifier is not used and must be zero
+    ledgerLive: (accountId, addressId) => {
+        Assert.check(0 === accountId, "ledgerLiveAccount", "accountId", accountId);
+        return [hardened(44), hardened(60), hardened(addressId), 0, 0];
+    },
+
+    // m/44'/60'/{account}'/{address} is the MEW legacy layout
+    legacy: (accountId, addressId) => {
+        Assert.isUint8(accountId, "accountId");
+        Assert.isUint32(addressId, "addressId");
+        return [hardened(44), hardened(60), hardened(accountId), addressId];
     }
 };
 
+/**
+ * parseBip32Path parses BIP32 path string, e.g. "m/44'/60'/0'/0/0" into the array
+ * of path elements. Hardened elements can be marked with "'", "h", or "H" suffix.
+ *
+ * @param {string} str
+ * @returns {[number]}
+ */
+export function parseBip32Path(str) {
+    let path;
+    rethrowAs(InvalidPathError, `Invalid BIP32 path "${str}".`, () => {
+        Assert.isString(str, "path");
+
+        // the master key prefix is optional
+        const elements = str.trim().replace(/^m\//, "").split("/");
+        path = elements.map((el, i) => {
+            const match = /^(\d+)(['hH]?)$/.exec(el);
+            Assert.check(null !== match, "bip32PathElement", `path[${i}]`, el);
+
+            const index = parseInt(match[1], 10);
+            return ("" !== match[2]) ? hardened(index) : index;
+        });
+    });
+
+    Assert.isValidBip32Path(path);
+    return path;
+}
+
+/**
+ * parseQuantity parses non-negative integer given as a number, "0x" prefixed hex string,
+ * BN, ethers BigNumber, or a big endian buffer into BN.
+ *
+ * @param {number|string|BN|BigNumber|Buffer} data
+ * @param {string} field Path of the parsed field used to report validation failure.
+ * @returns {BN}
+ */
+export function parseQuantity(data, field = "value") {
+    // ethers BigNumber, e.g. a transaction populated by the ethers signer
+    if (data && true === data._isBigNumber && "function" === typeof data.toHexString) {
+        data = data.toHexString();
+    }
+    if (BN.isBN(data)) {
+        Assert.check(!data.isNeg(), "isQuantity", field, data.toString(10));
+        return data;
+    }
+    if (Buffer.isBuffer(data)) {
+        return new BN(data);
+    }
+    if ("number" === typeof data) {
+        Assert.check(Number.isSafeInteger(data) && data >= 0, "isQuantity", field, data);
+        return new BN(data);
+    }
+
+    Assert.check("string" === typeof data && /^0x[0-9a-fA-F]*$/.test(data), "isQuantity", field, data);
+    return new BN(data.slice(2) || "0", 16);
+}
+
+/**
+ * formatBip32Path formats BIP32 path elements into the path string, e.g. "m/44'/60'/0'/0/0".
+ *
+ * @param {[number]} path
+ * @returns {string}
+ */
+export function formatBip32Path(path) {
+    Assert.isValidBip32Path(path);
+    return "m/" + path.map(x => (x >= BIP32_HARDENED) ? `${x - BIP32_HARDENED}'` : `${x}`).join("/");
+}
+
 /**
  * buffer2Hex implements buffer conversion to hexadecimal string
  *
@@ -134,8 +530,8 @@ export function hex2Buffer(data) {
  */
 export function stripReturnCodeFromResponse(response) {
     // make sure the response makes sense
-    Assert.isBuffer(response);
-    Assert.check(response.length >= 2);
+    Assert.isBuffer(response, "response");
+    Assert.check(response.length >= 2, "responseLength", "response.length", response.length);
 
     // the return code is sent as the last part of the message
     const rtIndex = response.length - 2;
@@ -199,11 +595,173 @@ export function stripHexPrefix(str) {
     return str;
 }
 
+/**
+ * AccessList represents an EIP-2930 access list of a transaction. The transaction
+ * builders take it as an optional argument and attach it to the built transaction,
+ * which makes the transaction an access list (type 1) transaction.
+ *
+ * @typedef {[{address: string, storageKeys: [string]}]} AccessList
+ */
+
+/**
+ * withAccessList attaches an optional EIP-2930 access list to the given
+ * base transaction. If the access list is not provided, the transaction
+ * is returned unchanged.
+ *
+ * @param {{}} tx
+ * @param {AccessList|undefined} accessList
+ * @returns {{}}
+ */
+export function withAccessList(tx, accessList) {
+    // nothing to attach
+    if (undefined === accessList || null === accessList) {
+        return tx;
+    }
+
+    Assert.isValidAccessList(accessList);
+    return {...tx, accessList};
+}
+
+/**
+ * decodeRawTransaction decodes signed raw transaction, either legacy EIP-155 transaction,
+ * or EIP-2718 typed transaction envelope, into its details. The sender is recovered
+ * from the signature; unsigned transactions, e.g. the signing payload sent to the device,
+ * are decoded without the sender.
+ *
+ * @param {string|Buffer} raw Raw transaction as a hex string, or a buffer.
+ * @returns {{type: number, chainId: number|null, nonce: string, gasPrice: string|undefined,
+ *          maxPriorityFeePerGas: string|undefined, maxFeePerGas: string|undefined, gasLimit: string,
+ *          to: string|null, value: string, data: string, accessList: []|undefined,
+ *          v: number, r: string, s: string, from: string|null, hash: string}}
+ */
+export function decodeRawTransaction(raw) {
+    let decoded;
+    rethrowAs(InvalidTransactionDataError, "Invalid raw transaction.", () => {
+        if (!Buffer.isBuffer(raw)) {
+            Assert.isString(raw, "raw");
+            Assert.isHexString(stripHexPrefix(raw), "raw");
+        }
+        const data = Buffer.isBuffer(raw) ? raw : hex2Buffer(stripHexPrefix(raw));
+        Assert.check(0 < data.length, "rawLength", "raw.length", data.length);
+
+        // legacy transactions are RLP lists, typed envelopes start with the type byte
+        const type = (data[0] >= 0xc0) ? TX_TYPE.LEGACY : data[0];
+        Assert.check(RAW_TX_FIELDS.hasOwnProperty(type), "txType", "raw.type", type);
+
+        const fields = decode((TX_TYPE.LEGACY === type) ? data : data.slice(1));
+        Assert.isArray(fields, "raw");
+
+        // unsigned pre-EIP-155 legacy transactions and typed transactions signing payloads
+        // come without the signature part
+        const names = RAW_TX_FIELDS[type];
+        const isBare = (fields.length === names.indexOf("v"));
+        Assert.check(isBare || names.length === fields.length, "rawFieldsCount", "raw.length", fields.length);
+
+        decoded = decodeRawTransactionFields(type, names, fields, isBare);
+        decoded.hash = "0x" + buffer2Hex(keccak256(data));
+    });
+    return decoded;
+}
+
+/**
+ * decodeRawTransactionFields converts RLP decoded transaction fields into transaction details
+ * and recovers the sender from the signature, if the transaction is signed.
+ *
+ * @param {number} type
+ * @param {[string]} names
+ * @param {[Buffer]} fields
+ * @param {boolean} isBare
+ * @returns {{}}
+ */
+function decodeRawTransactionFields(type, names, fields, isBare) {
+    const item = (name) => fields[names.indexOf(name)];
+    const toHex = (buf) => "0x" + buffer2Hex(buf);
+    const toQuantityHex = (buf) => "0x" + new BN(buf).toString(16);
+
+    // common transaction details
+    const tx = {type, chainId: null};
+    names.slice(0, fields.length).forEach(name => {
+        if ("accessList" === name) {
+            Assert.isArray(item(name), `raw.${name}`);
+        } else {
+            Assert.isBuffer(item(name), `raw.${name}`);
+        }
+
+        switch (name) {
+            case "to":
+                tx.to = (0 < item(name).length) ? toChecksumAddress(toHex(item(name))) : null;
+                break;
+            case "data":
+                tx.data = toHex(item(name));
+                break;
+            case "accessList":
+                tx.accessList = item(name).map(([address, keys]) => ({
+                    address: toChecksumAddress(toHex(address)),
+                    storageKeys: keys.map(toHex)
+                }));
+                break;
+            case "chainId":
+            case "v":
+                tx[name] = new BN(item(name)).toNumber();
+                break;
+            case "r":
+            case "s":
+                tx[name] = toHex(item(name));
+                break;
+            default:
+                tx[name] = toQuantityHex(item(name));
+        }
+    });
+
+    // no signature at all
+    tx.from = null;
+    if (isBare) {
+        return tx;
+    }
+
+    // resolve the chain id and the signature recovery id
+    // EIP-155 signing payload carries the chain id in place of <v> and empty <r>, <s>
+    const isSigned = (0 < item("r").length || 0 < item("s").length);
+    let recovery = tx.v;
+    let payload = fields.slice(0, names.indexOf("v"));
+    if (TX_TYPE.LEGACY === type) {
+        if (!isSigned) {
+            tx.chainId = tx.v;
+        } else if (tx.v >= 35) {
+            tx.chainId = Math.floor((tx.v - 35) / 2);
+            recovery = tx.v - (tx.chainId * 2 + 35);
+        } else {
+            recovery = tx.v - 27;
+        }
+
+        // EIP-155 transactions sign the chain id as well
+        if (null !== tx.chainId) {
+            payload = payload.concat([new BN(tx.chainId).toArrayLike(Buffer), Buffer.alloc(0), Buffer.alloc(0)]);
+        }
+    }
+    if (!isSigned) {
+        return tx;
+    }
+
+    // recover the sender from the signed payload
+    Assert.check(0 === recovery || 1 === recovery, "signatureRecovery", "raw.v", tx.v);
+    const encoded = (TX_TYPE.LEGACY === type) ? encode(payload) : Buffer.concat([Buffer.from([type]), encode(payload)]);
+    const publicKey = ecrecover(keccak256(encoded), recovery + 27, item("r"), item("s"));
+    tx.from = toChecksumAddress(toHex(publicToAddress(publicKey)));
+    return tx;
+}
+
 // what we export here
 export default {
     // marks hardened BIP32 path member
     BIP32_HARDENED,
 
+    // list of known transaction envelope types
+    TX_TYPE,
+
+    // function resolves transaction envelope type
+    getTransactionType,
+
     // function converts buffer to hex string
     buffer2Hex,
 
@@ -213,6 +771,21 @@ export default {
     // function converts valid BIP32 path to APDU data payload buffer
     bip32PathToBuffer,
 
+    // named BIP32 derivation path layouts
+    PATH_SCHEMES,
+
+    // function parses BIP32 path string into path elements
+    parseBip32Path,
+
+    // function formats BIP32 path elements into path string
+    formatBip32Path,
+
     // stripHexPrefix removes "0x" prefix from a hex string if presented
-    stripHexPrefix
+    stripHexPrefix,
+
+    // withAccessList attaches optional access list to a transaction
+    withAccessList,
+
+    // decodeRawTransaction decodes signed raw transaction details
+    decodeRawTransaction
 };
\ No newline at end of file
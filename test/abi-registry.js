@@ -0,0 +1,62 @@
+const expect = require('chai').expect;
+const Web3 = require('web3');
+const {decodeCall, getMethodAbi} = require('../lib/abi-registry');
+const sfc_utils = require('../lib/sfc-utils').default;
+const erc20_utils = require('../lib/erc20-utils').default;
+const wftm_utils = require('../lib/wftm-utils').default;
+const uniswap_utils = require('../lib/uniswap-utils').default;
+const governance_utils = require('../lib/governance-utils').default;
+
+// addresses used by the calls
+const TOKEN = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const TOKEN_B = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+const ROUTER = '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB';
+const RECIPIENT = '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb';
+
+// test the call data decoding of the library transactions
+describe('ABI Registry', () => {
+    describe('decode call', () => {
+        it('should decode SFC delegation', () => {
+            const tx = sfc_utils.createDelegationTx('0xde0b6b3a7640000', 5);
+            const call = decodeCall(tx.to, tx.data);
+            expect(call.protocol).to.equal('sfc');
+            expect(call.method).to.equal('delegate');
+            expect(call.signature).to.equal('delegate(uint256)');
+            expect(call.args).to.deep.equal({toValidatorID: '5'});
+        });
+
+        it('should decode token transfer', () => {
+            const tx = erc20_utils.erc20TransferTx(TOKEN, RECIPIENT, '0x64');
+            const call = decodeCall(tx.to, tx.data);
+            expect(call.protocol).to.equal('erc20');
+            expect(call.method).to.equal('transfer');
+            expect(call.args).to.deep.equal({recipient: RECIPIENT, amount: '100'});
+        });
+
+        it('should decode swap with path', () => {
+            const tx = uniswap_utils.uniswapExactTokensForTokens(new Web3(), ROUTER, '0x64', '0x32', [TOKEN, TOKEN_B], RECIPIENT, '0x5f5e1000');
+            const call = decodeCall(tx.to, tx.data);
+            expect(call.protocol).to.equal('uniswap');
+            expect(call.method).to.equal('swapExactTokensForTokens');
+            expect(call.args.path).to.deep.equal([TOKEN, TOKEN_B]);
+            expect(call.args.amountOutMin).to.equal('50');
+        });
+
+        it('should decode calls of other protocols', () => {
+            const wrap = wftm_utils.defiWrapFtm(TOKEN, '0x64');
+            expect(decodeCall(wrap.to, wrap.data).method).to.equal('deposit');
+
+            const vote = governance_utils.governanceVote(new Web3(), TOKEN, RECIPIENT, '0x1', ['0x2', '0x3']);
+            const call = decodeCall(vote.to, vote.data);
+            expect(call.protocol).to.equal('governance');
+            expect(call.args.choices).to.deep.equal(['2', '3']);
+        });
+
+        it('should not decode unknown calls', () => {
+            expect(decodeCall(RECIPIENT, '0x')).to.equal(null);
+            expect(decodeCall(RECIPIENT, '0x12345678')).to.equal(null);
+            expect(() => decodeCall(RECIPIENT, '0x0a')).to.not.throw();
+            expect(() => getMethodAbi('erc20', 'mint')).to.throw('abiMethod');
+        });
+    });
+});
@@ -0,0 +1,68 @@
+const expect = require('chai').expect;
+const eip712 = require('../lib/eip712-utils').default;
+const {ecsign, keccak256} = require('ethereumjs-util');
+
+// MAIL is the typed data example of the EIP-712 specification
+const MAIL = {
+    types: {
+        EIP712Domain: [
+            {name: 'name', type: 'string'},
+            {name: 'version', type: 'string'},
+            {name: 'chainId', type: 'uint256'},
+            {name: 'verifyingContract', type: 'address'}
+        ],
+        Person: [
+            {name: 'name', type: 'string'},
+            {name: 'wallet', type: 'address'}
+        ],
+        Mail: [
+            {name: 'from', type: 'Person'},
+            {name: 'to', type: 'Person'},
+            {name: 'contents', type: 'string'}
+        ]
+    },
+    primaryType: 'Mail',
+    domain: {
+        name: 'Ether Mail',
+        version: '1',
+        chainId: 1,
+        verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC'
+    },
+    message: {
+        from: {name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826'},
+        to: {name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB'},
+        contents: 'Hello, Bob!'
+    }
+};
+
+// hex converts the hash buffer to a hex string
+const hex = (buf) => '0x' + buf.toString('hex');
+
+// test the EIP-712 typed data hashing against the specification example
+describe('EIP-712 Utils', () => {
+    it('should encode struct type with dependencies', () => {
+        expect(eip712.encodeType('Mail', MAIL.types)).to.equal('Mail(Person from,Person to,string contents)Person(string name,address wallet)');
+        expect(hex(eip712.typeHash('Mail', MAIL.types))).to.equal('0xa0cedeb2dc280ba39b857546d74f5549c3a1d7bdc2dd96bf881f76108e23dac2');
+    });
+
+    it('should hash struct and domain', () => {
+        expect(hex(eip712.hashStruct('Mail', MAIL.message, MAIL.types))).to.equal('0xc52c0ee5d84264471806290a3f2c4cecfc5490626bf912d01f240d7a274b371e');
+        expect(hex(eip712.hashMessage(MAIL))).to.equal('0xc52c0ee5d84264471806290a3f2c4cecfc5490626bf912d01f240d7a274b371e');
+        expect(hex(eip712.hashDomain(MAIL))).to.equal('0xf2cee375fa42b42143804025fc449deafd50cc031ca257e0b194a650a912090f');
+    });
+
+    it('should hash typed data and match the specification signature', () => {
+        const hash = eip712.hashTypedData(MAIL);
+        expect(hex(hash)).to.equal('0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2');
+
+        const sig = ecsign(hash, keccak256(Buffer.from('cow', 'utf8')));
+        expect(sig.v).to.equal(28);
+        expect(hex(sig.r)).to.equal('0x4355c47d63924e8a72e509b65029052eb6c299d53a04e167c5775fd466751c9d');
+        expect(hex(sig.s)).to.equal('0x07299936d304c153f6443dfa05f40ff007d72911b6f72307f996231605b91562');
+    });
+
+    it('should build missing domain type from the domain fields', () => {
+        const {EIP712Domain, ...types} = MAIL.types;
+        expect(hex(eip712.hashDomain({...MAIL, types}))).to.equal(hex(eip712.hashDomain(MAIL)));
+    });
+});
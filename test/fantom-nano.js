@@ -0,0 +1,694 @@
+const expect = require('chai').expect;
+const FantomNano = require('../lib/fantom-nano').default;
+const {ErrorCodes, INS, TESTNET_CHAIN_ID, SignatureVerificationError, SigningCancelled} = require('../lib/fantom-nano');
+const {LedgerLockedError, LedgerAppNotOpenError, LedgerUserRejectedError, LedgerAppVersionError, InvalidPathError} = require('../lib/fantom-nano');
+const MockTransport = require('../lib/mock-transport').default;
+const ReplayTransport = require('../lib/replay-transport').default;
+const ApduRecorder = require('../lib/apdu-recorder').default;
+const LedgerProvider = require('../lib/ledger-provider').default;
+const LedgerSigner = require('../lib/ledger-signer').default;
+const erc20Utils = require('../lib/erc20-utils').default;
+const {BigNumber} = require('@ethersproject/bignumber');
+const {toChecksumAddress} = require('ethereumjs-util');
+const {parseBip32Path, formatBip32Path, decodeRawTransaction} = require('../lib/utils');
+const bip32Utils = require('../lib/bip32-utils').default;
+const eip712 = require('../lib/eip712-utils').default;
+const {Transaction} = require('ethereumjs-tx');
+const Common = require('ethereumjs-common').default;
+const Web3 = require('web3');
+const {ecrecover, fromRpcSig, hashPersonalMessage, keccak256, publicToAddress} = require('ethereumjs-util');
+const {decode, encode} = require('rlp');
+
+// SEED is the seed of the emulated device
+const SEED = '000102030405060708090a0b0c0d0e0f';
+
+// BIP32 path of the first address of the first account
+const PATH = [0x8000002c, 0x8000003c, 0x80000000, 0, 0];
+
+// test the Fantom Nano API bridge using emulated device
+describe('Fantom Nano API Bridge', () => {
+    // make a new bridge on a fresh emulated device
+    const makeBridge = (version, options) => {
+        const transport = new MockTransport(SEED, version);
+        return {transport, bridge: new FantomNano(transport, 'FTM', options)};
+    };
+
+    // app version
+    describe('get version', () => {
+        it('should return emulated version', async () => {
+            const {bridge} = makeBridge({major: 1, minor: 2, patch: 3, isDevelopment: true});
+            const ver = await bridge.getVersion();
+            expect(ver.major).to.equal(1);
+            expect(ver.minor).to.equal(2);
+            expect(ver.patch).to.equal(3);
+            expect(ver.flags.isDevelopment).to.equal(1);
+        });
+
+        it('should report malformed device response', async () => {
+            const {transport, bridge} = makeBridge();
+            transport.getVersion = () => Buffer.from([1, 2]);
+            try {
+                await bridge.getVersion();
+                expect.fail('malformed version was accepted');
+            } catch (e) {
+                expect([e.rule, e.field, e.value]).to.deep.equal(['responseLength', 'response.length', 2]);
+            }
+
+            transport.getAddressResponse = () => Buffer.from([20, 1, 2]);
+            try {
+                await bridge.getAddress(0, 0);
+                expect.fail('truncated address was accepted');
+            } catch (e) {
+                expect([e.rule, e.field, e.value]).to.deep.equal(['responseLength', 'response.length', 3]);
+            }
+        });
+    });
+
+    // app capabilities
+    describe('get capabilities', () => {
+        it('should report app version and features learned from the app', async () => {
+            const {transport, bridge} = makeBridge({major: 1, minor: 2, patch: 3, isDevelopment: true});
+            const caps = await bridge.getCapabilities();
+            expect([caps.version.minor, caps.isDevelopment]).to.deep.equal([2, true]);
+            expect([caps.messageSigning, caps.typedData]).to.deep.equal([null, null]);
+
+            // the features are learned per transport
+            await bridge.signPersonalMessage(0, 0, 'hello');
+            expect((await new FantomNano(transport).getCapabilities()).messageSigning).to.equal(true);
+            expect((await bridge.getCapabilities(true)).messageSigning).to.equal(null);
+        });
+
+        it('should require app upgrade for unsupported feature', async () => {
+            const {transport, bridge} = makeBridge();
+            transport.injectError(ErrorCodes.ERR_UNKNOWN_INS, INS.SIGN_PERSONAL_MESSAGE);
+            try {
+                await bridge.signPersonalMessage(0, 0, 'hello');
+                expect.fail('unsupported feature was used');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LedgerAppVersionError);
+                expect(e.message).to.equal('Please upgrade your Fantom Ledger app to use personal message signing.');
+                expect(e.statusCode).to.equal(ErrorCodes.ERR_UNKNOWN_INS);
+            }
+
+            // the following calls fail without reaching the device
+            try {
+                await new FantomNano(transport).signPersonalMessage(0, 0, 'hello');
+                expect.fail('unsupported feature was used again');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LedgerAppVersionError);
+            }
+            expect(transport.exchanges).to.equal(1);
+            expect((await bridge.getCapabilities()).messageSigning).to.equal(false);
+        });
+    });
+
+    // address derivation
+    describe('derive address', () => {
+        it('should derive address of the device key', async () => {
+            const {transport, bridge} = makeBridge();
+            const addr = await bridge.getAddress(0, 0, false);
+            expect(addr.toLowerCase()).to.equal(transport.getAddress(PATH));
+            expect(addr).to.equal(toChecksumAddress(transport.getAddress(PATH)));
+        });
+
+        it('should list consecutive addresses', async () => {
+            const {transport, bridge} = makeBridge();
+            const list = await bridge.listAddresses(0, 3, 3);
+            expect(list).to.have.lengthOf(3);
+            expect(list[2].toLowerCase()).to.equal(transport.getAddress([0x8000002c, 0x8000003c, 0x80000000, 0, 5]));
+        });
+
+        it('should discover used accounts', async () => {
+            const {transport, bridge} = makeBridge();
+            const path = (account, address) => [0x8000002c, 0x8000003c, 0x80000000 + account, 0, address];
+            const usedSet = [path(0, 0), path(0, 3), path(1, 1)].map(p => transport.getAddress(p));
+
+            const res = await bridge.discoverAccounts({
+                gapLimit: 3,
+                isUsed: async (addr) => usedSet.includes(addr.toLowerCase())
+            });
+
+            expect(res.used.map(u => [u.accountId, u.addressId])).to.deep.equal([[0, 0], [0, 3], [1, 1]]);
+            expect(res.accounts).to.have.lengthOf(2);
+            expect(res.accounts[0].next.addressId).to.equal(4);
+            expect(res.next.accountId).to.equal(1);
+            expect(res.next.addressId).to.equal(2);
+            expect(res.next.address.toLowerCase()).to.equal(transport.getAddress(path(1, 2)));
+        });
+
+        it('should discover used addresses under other path schemes', async () => {
+            // Ledger Live keeps each address in its own account, so there is no other account to walk to
+            const live = makeBridge(undefined, {pathScheme: 'ledgerLive'});
+            const livePath = (address) => [0x8000002c, 0x8000003c, 0x80000000 + address, 0, 0];
+            const liveUsed = [livePath(0), livePath(2)].map(p => live.transport.getAddress(p));
+            const liveRes = await live.bridge.discoverAccounts({gapLimit: 2, isUsed: async (addr) => liveUsed.includes(addr.toLowerCase())});
+            expect(liveRes.used.map(u => [u.accountId, u.addressId])).to.deep.equal([[0, 0], [0, 2]]);
+            expect(liveRes.accounts).to.have.lengthOf(1);
+            expect(liveRes.next.address.toLowerCase()).to.equal(live.transport.getAddress(livePath(3)));
+
+            // legacy layout walks the accounts the same way as BIP44
+            const legacy = makeBridge(undefined, {pathScheme: 'legacy'});
+            const legacyPath = (account, address) => [0x8000002c, 0x8000003c, 0x80000000 + account, address];
+            const legacyUsed = [legacyPath(0, 1), legacyPath(1, 0)].map(p => legacy.transport.getAddress(p));
+            const legacyRes = await legacy.bridge.discoverAccounts({gapLimit: 2, isUsed: async (addr) => legacyUsed.includes(addr.toLowerCase())});
+            expect(legacyRes.used.map(u => [u.accountId, u.addressId])).to.deep.equal([[0, 1], [1, 0]]);
+            expect(legacyRes.accounts).to.have.lengthOf(2);
+        });
+
+        it('should derive address using Ledger Live path scheme', async () => {
+            const {transport, bridge} = makeBridge(undefined, {pathScheme: 'ledgerLive'});
+            const addr = await bridge.getAddress(0, 2, false);
+            expect(addr.toLowerCase()).to.equal(transport.getAddress(parseBip32Path("m/44'/60'/2'/0/0")));
+        });
+
+        it('should derive address using legacy path scheme', async () => {
+            const {transport, bridge} = makeBridge(undefined, {pathScheme: 'legacy'});
+            const list = await bridge.listAddresses(0, 1, 1);
+            expect(list[0].toLowerCase()).to.equal(transport.getAddress([0x8000002c, 0x8000003c, 0x80000000, 1]));
+        });
+
+        it('should report closed app', async () => {
+            const {transport, bridge} = makeBridge();
+            transport.injectError(0x6E00, INS.GET_VERSION);
+            try {
+                await bridge.getVersion();
+                expect.fail('closed app did not fail');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LedgerAppNotOpenError);
+                expect(e.code).to.equal('APP_NOT_OPEN');
+            }
+        });
+
+        it('should reject invalid path', async () => {
+            const {bridge} = makeBridge();
+            try {
+                await bridge.deriveAddress("m/44'/61'/0'/0/0", false);
+                expect.fail('invalid path was accepted');
+            } catch (e) {
+                expect(e).to.be.instanceOf(InvalidPathError);
+                expect(e.code).to.equal('INVALID_PATH');
+            }
+        });
+
+        it('should parse and format BIP32 path', () => {
+            expect(parseBip32Path("m/44'/60'/0'/0/0")).to.deep.equal(PATH);
+            expect(parseBip32Path("44h/60h/0h/0/0")).to.deep.equal(PATH);
+            expect(formatBip32Path(PATH)).to.equal("m/44'/60'/0'/0/0");
+            expect(() => parseBip32Path("m/44'/61'/0'/0/0")).to.throw();
+        });
+
+        it('should derive public key with chain code', async () => {
+            const {bridge} = makeBridge();
+            const key = await bridge.getPublicKey(0, 0);
+            expect(key.publicKey).to.have.lengthOf(65);
+            expect(key.chainKey).to.have.lengthOf(32);
+        });
+
+        it('should derive account addresses offline', async () => {
+            const {transport, bridge} = makeBridge();
+            const xpub = await bridge.getAccountXpub(1);
+            expect(formatBip32Path(xpub.bip32Path)).to.equal("m/44'/60'/1'/0");
+
+            const list = bip32Utils.deriveAddresses(xpub, 0, 3);
+            expect(list[2].toLowerCase()).to.equal(transport.getAddress([0x8000002c, 0x8000003c, 0x80000001, 0, 2]));
+            expect(transport.exchanges).to.equal(1);
+        });
+
+        it('should report failed offline derivation rule', async () => {
+            const {bridge} = makeBridge(undefined, {pathScheme: 'ledgerLive'});
+            try {
+                await bridge.getAccountXpub(0);
+                expect.fail('hardened address path was exported');
+            } catch (e) {
+                expect([e.rule, e.field]).to.deep.equal(['sharedParentPath', 'bip32Path']);
+            }
+
+            const xpub = await makeBridge().bridge.getAccountXpub(0);
+            expect(() => bip32Utils.deriveChildPublicKey(xpub.publicKey, xpub.chainKey, 0x80000000))
+                .to.throw().with.property('rule', 'nonHardenedIndex');
+            expect(() => bip32Utils.deriveAddresses({publicKey: xpub.publicKey, chainKey: xpub.chainKey.slice(1)}))
+                .to.throw().with.property('field', 'chainKey');
+        });
+
+        it('should report locked device', async () => {
+            const {transport, bridge} = makeBridge();
+            transport.injectError(ErrorCodes.ERR_DEVICE_LOCKED, INS.GET_ADDRESS);
+            try {
+                await bridge.getAddress(0, 0, false);
+                expect.fail('locked device did not fail');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LedgerLockedError);
+                expect(e.code).to.equal('DEVICE_LOCKED');
+                expect(e.ins).to.equal(INS.GET_ADDRESS);
+                expect(e.statusCode).to.equal(ErrorCodes.ERR_DEVICE_LOCKED);
+                expect(e.message).to.equal('Ledger device: Can not proceed with the instruction, please unlock the device.');
+            }
+        });
+    });
+
+    // transaction signing
+    describe('sign transaction', () => {
+        // transaction with data long enough to be transferred in several chunks
+        const tx = {
+            nonce: '0x2',
+            gasPrice: '0x3b9aca00',
+            gasLimit: '0xabe0',
+            to: '0x76ae07e6d236c1ae3f5c3112f387ad82c69a2471',
+            value: '0xde0b6b3a7640000',
+            data: '0x' + 'c312eb07'.repeat(80),
+            chainId: '0xfa'
+        };
+
+        it('should sign legacy transaction', async () => {
+            const {transport, bridge} = makeBridge();
+            const res = await bridge.signTransaction(0, 0, tx);
+            const common = Common.forCustomChain('mainnet', {networkId: 1, chainId: 0xfa}, 'petersburg');
+            const signed = new Transaction(res.raw, {common});
+            expect(signed.verifySignature()).to.equal(true);
+            expect('0x' + signed.getSenderAddress().toString('hex')).to.equal(transport.getAddress(PATH));
+            expect(res.v).to.be.oneOf([0xfa * 2 + 35, 0xfa * 2 + 36]);
+        });
+
+        it('should sign dynamic fee transaction', async () => {
+            const {transport, bridge} = makeBridge();
+            const {gasPrice, ...base} = tx;
+            const typed = {...base, maxPriorityFeePerGas: '0x1', maxFeePerGas: '0x3b9aca00'};
+            const res = await bridge.signTransaction(0, 0, typed);
+            expect(res.raw[0]).to.equal(0x02);
+            expect(res.v).to.be.oneOf([0, 1]);
+
+            // the device signs the unsigned EIP-1559 envelope, the y-parity signature recovers the signing address
+            const fields = decode(res.raw.slice(1));
+            const payload = bridge.getRawTransaction(typed);
+            expect(fields).to.have.lengthOf(12);
+            expect(payload.equals(Buffer.concat([Buffer.from([0x02]), encode(fields.slice(0, 9))]))).to.equal(true);
+            const pub = ecrecover(keccak256(payload), res.v + 27, res.r, res.s);
+            expect('0x' + publicToAddress(pub).toString('hex')).to.equal(transport.getAddress(PATH));
+        });
+
+        it('should sign access list transaction', async () => {
+            const {transport, bridge} = makeBridge();
+            const accessList = [{address: '0x76ae07e6d236c1ae3f5c3112f387ad82c69a2471', storageKeys: ['0x' + '01'.repeat(32)]}];
+            const res = await bridge.signTransaction(0, 0, {...tx, accessList});
+            expect(res.raw[0]).to.equal(0x01);
+            expect(res.v).to.be.oneOf([0, 1]);
+
+            // the signature of the EIP-2930 envelope recovers the device address
+            const decoded = decodeRawTransaction(res.raw);
+            expect(decoded.type).to.equal(1);
+            expect(decoded.gasPrice).to.equal(tx.gasPrice);
+            expect(decoded.accessList).to.deep.equal([{address: toChecksumAddress(accessList[0].address), storageKeys: accessList[0].storageKeys}]);
+            expect(decoded.from).to.equal(toChecksumAddress(transport.getAddress(PATH)));
+        });
+
+        it('should sign test net transaction with test net chain id', async () => {
+            const {transport, bridge} = makeBridge();
+            const res = await bridge.signTransaction(0, 0, {...tx, chainId: '0xfa2'});
+            const common = Common.forCustomChain('mainnet', {networkId: 1, chainId: parseInt(TESTNET_CHAIN_ID, 16)}, 'petersburg');
+            const signed = new Transaction(res.raw, {common});
+            expect(signed.verifySignature()).to.equal(true);
+            expect('0x' + signed.getSenderAddress().toString('hex')).to.equal(transport.getAddress(PATH));
+            expect(res.v).to.be.oneOf([parseInt(TESTNET_CHAIN_ID, 16) * 2 + 35, parseInt(TESTNET_CHAIN_ID, 16) * 2 + 36]);
+        });
+
+        it('should reject transaction of another network', async () => {
+            const {bridge} = makeBridge(undefined, {chainId: TESTNET_CHAIN_ID});
+            try {
+                await bridge.signTransaction(0, 0, tx);
+                expect.fail('transaction of another network was signed');
+            } catch (e) {
+                expect(e.message).to.equal('Transaction chain id 250 does not match the configured network chain id 4002.');
+            }
+        });
+
+        it('should report signing progress', async () => {
+            const {bridge} = makeBridge();
+            const progress = [];
+            await bridge.signTransaction(0, 0, tx, {onProgress: p => progress.push(`${p.stage} ${p.chunk}/${p.chunks}`)});
+            expect(progress).to.deep.equal(['init 0/3', 'chunk 1/3', 'chunk 2/3', 'chunk 3/3', 'confirm 3/3', 'finalized 3/3']);
+        });
+
+        it('should verify signature of the signing address', async () => {
+            const {transport, bridge} = makeBridge(undefined, {verifySignatures: true});
+            const res = await bridge.signTransaction(0, 0, tx);
+            expect(res.raw).to.be.instanceOf(Buffer);
+
+            // init, three data chunks, finalize and the address check
+            expect(transport.exchanges).to.equal(6);
+        });
+
+        it('should reject signature of another key', async () => {
+            const {transport, bridge} = makeBridge(undefined, {verifySignatures: true});
+
+            // the compromised device signs with a different key
+            const signatureResponse = transport.signatureResponse.bind(transport);
+            transport.signatureResponse = (path, hash) => signatureResponse(path.slice(0, 4).concat([1]), hash);
+
+            try {
+                await bridge.signTransaction(0, 0, tx);
+                expect.fail('signature of another key was accepted');
+            } catch (e) {
+                expect(e).to.be.instanceOf(SignatureVerificationError);
+                expect(e.expectedAddress.toLowerCase()).to.equal(transport.getAddress(PATH));
+            }
+        });
+
+        it('should report rejected transaction', async () => {
+            const {transport, bridge} = makeBridge();
+            transport.injectError(ErrorCodes.ERR_REJECTED_BY_USER, INS.SIGN_TRANSACTION, 0x80);
+            try {
+                await bridge.signTransaction(0, 0, tx);
+                expect.fail('rejected transaction did not fail');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LedgerUserRejectedError);
+                expect(e.statusCode).to.equal(ErrorCodes.ERR_REJECTED_BY_USER);
+            }
+        });
+
+        it('should time out waiting for confirmation', async () => {
+            const {transport, bridge} = makeBridge();
+            transport.confirm = () => new Promise(resolve => setTimeout(resolve, 100));
+            try {
+                await bridge.signTransaction(0, 0, tx, {timeout: 20});
+                expect.fail('signing did not time out');
+            } catch (e) {
+                expect(e).to.be.instanceOf(SigningCancelled);
+                expect(e.reason).to.equal('timeout');
+            }
+
+            // the signing failed after the device answered the pending confirmation,
+            // so the device is available right away
+            const addr = await bridge.getAddress(0, 0, false);
+            expect(addr.toLowerCase()).to.equal(transport.getAddress(PATH));
+        });
+
+        it('should sign again after cancelled confirmation', async () => {
+            const {transport, bridge} = makeBridge();
+            const controller = new AbortController();
+            transport.confirm = () => {
+                controller.abort();
+                return new Promise(resolve => setTimeout(resolve, 20));
+            };
+            try {
+                await bridge.signTransaction(0, 0, tx, {signal: controller.signal});
+                expect.fail('aborted signing did not fail');
+            } catch (e) {
+                expect(e).to.be.instanceOf(SigningCancelled);
+            }
+
+            transport.confirm = null;
+            const res = await bridge.signTransaction(0, 0, tx);
+            expect(res.raw).to.be.instanceOf(Buffer);
+        });
+
+        it('should reset device state of aborted signing', async () => {
+            const {transport, bridge} = makeBridge();
+            const controller = new AbortController();
+            const signing = bridge.signTransaction(0, 0, tx, {signal: controller.signal});
+            controller.abort();
+            try {
+                await signing;
+                expect.fail('aborted signing did not fail');
+            } catch (e) {
+                expect(e).to.be.instanceOf(SigningCancelled);
+                expect(e.reason).to.equal('aborted');
+            }
+
+            // init and the reset
+            expect(transport.exchanges).to.equal(2);
+            expect(transport.signing).to.equal(null);
+        });
+
+        it('should release the transport lock after failure', async () => {
+            const {transport, bridge} = makeBridge();
+            transport.injectError(ErrorCodes.ERR_INVALID_DATA, INS.SIGN_TRANSACTION, 0x01);
+            try {
+                await bridge.signTransaction(0, 0, tx);
+            } catch (e) {
+                expect(e.statusCode).to.equal(ErrorCodes.ERR_INVALID_DATA);
+            }
+            const res = await bridge.signTransaction(0, 0, tx);
+            expect(res.raw).to.be.instanceOf(Buffer);
+        });
+
+        it('should decode signed legacy transaction', async () => {
+            const {transport, bridge} = makeBridge();
+            const res = await bridge.signTransaction(0, 0, tx);
+            const decoded = decodeRawTransaction('0x' + res.raw.toString('hex'));
+            expect(decoded.type).to.equal(0);
+            expect(decoded.chainId).to.equal(0xfa);
+            expect(decoded.from).to.equal(toChecksumAddress(transport.getAddress(PATH)));
+            expect(decoded.to).to.equal(toChecksumAddress(tx.to));
+            expect([decoded.nonce, decoded.gasPrice, decoded.gasLimit, decoded.value, decoded.data])
+                .to.deep.equal([tx.nonce, tx.gasPrice, tx.gasLimit, tx.value, tx.data]);
+
+            // the signing payload sent to the device carries the chain id, but no signature
+            const payload = decodeRawTransaction(bridge.getRawTransaction(tx));
+            expect(payload.chainId).to.equal(0xfa);
+            expect(payload.from).to.equal(null);
+        });
+
+        it('should decode signed typed transaction', async () => {
+            const {transport, bridge} = makeBridge();
+            const {gasPrice, ...base} = tx;
+            const accessList = [{address: '0x76ae07e6d236c1ae3f5c3112f387ad82c69a2471', storageKeys: ['0x' + '01'.repeat(32)]}];
+            const typed = {...base, maxPriorityFeePerGas: '0x1', maxFeePerGas: '0x3b9aca00', accessList};
+            const res = await bridge.signTransaction(0, 0, typed);
+            const decoded = decodeRawTransaction(res.raw);
+            expect(decoded.type).to.equal(2);
+            expect(decoded.chainId).to.equal(0xfa);
+            expect(decoded.from).to.equal(toChecksumAddress(transport.getAddress(PATH)));
+            expect([decoded.maxPriorityFeePerGas, decoded.maxFeePerGas]).to.deep.equal(['0x1', '0x3b9aca00']);
+            expect(decoded.accessList[0].storageKeys).to.deep.equal(accessList[0].storageKeys);
+
+            // typed signing payloads come without the signature part
+            for (const payloadTx of [typed, {...tx, accessList}]) {
+                const payload = decodeRawTransaction(bridge.getRawTransaction(payloadTx));
+                expect(payload.chainId).to.equal(0xfa);
+                expect(payload.from).to.equal(null);
+                expect(payload.hash).to.equal('0x' + keccak256(bridge.getRawTransaction(payloadTx)).toString('hex'));
+            }
+        });
+    });
+
+    // recorded device sessions
+    describe('record and replay', () => {
+        const tx = {
+            nonce: '0x5',
+            gasPrice: '0x3b9aca00',
+            gasLimit: '0x5208',
+            to: '0x76ae07e6d236c1ae3f5c3112f387ad82c69a2471',
+            value: '0xde0b6b3a7640000',
+            chainId: '0xfa'
+        };
+
+        it('should replay recorded signing session', async () => {
+            const recorder = new ApduRecorder();
+            const {bridge} = makeBridge(undefined, {recorder});
+            const res = await bridge.signTransaction(0, 0, tx);
+
+            const transport = new ReplayTransport(JSON.stringify(recorder.toJSON()));
+            const replayed = await new FantomNano(transport).signTransaction(0, 0, tx);
+            expect(replayed.raw.toString('hex')).to.equal(res.raw.toString('hex'));
+            expect(transport.isDone()).to.equal(true);
+        });
+
+        it('should replay recorded device error', async () => {
+            const recorder = new ApduRecorder();
+            const {transport, bridge} = makeBridge(undefined, {recorder});
+            transport.injectError(ErrorCodes.ERR_REJECTED_BY_USER, INS.SIGN_TRANSACTION, 0x80);
+            await bridge.signTransaction(0, 0, tx).catch(() => null);
+
+            try {
+                await new FantomNano(new ReplayTransport(recorder.toJSON())).signTransaction(0, 0, tx);
+                expect.fail('replayed rejection did not fail');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LedgerUserRejectedError);
+            }
+        });
+
+        it('should detect diverging session', async () => {
+            const recorder = new ApduRecorder();
+            const {bridge} = makeBridge(undefined, {recorder});
+            await bridge.signTransaction(0, 0, tx);
+
+            try {
+                await new FantomNano(new ReplayTransport(recorder.toJSON())).signTransaction(0, 0, {...tx, nonce: '0x6'});
+                expect.fail('diverging session was replayed');
+            } catch (e) {
+                expect(e.message).to.match(/^Unexpected APDU e0 20 01 00/);
+            }
+        });
+    });
+
+    // web3 provider
+    describe('ledger provider', () => {
+        // upstream provider answering the calls needed to send a transaction
+        const makeUpstream = () => {
+            const calls = [];
+            const results = {
+                eth_getTransactionCount: '0x7',
+                eth_estimateGas: '0x5208',
+                eth_chainId: '0xfa',
+                eth_gasPrice: '0x3b9aca00',
+                eth_sendRawTransaction: '0x' + '11'.repeat(32),
+                eth_blockNumber: '0x10'
+            };
+            return {calls, request: async ({method, params}) => {
+                calls.push({method, params});
+                return results[method];
+            }};
+        };
+
+        it('should answer accounts from the device', async () => {
+            const {transport, bridge} = makeBridge();
+            const provider = new LedgerProvider(makeUpstream(), bridge, {addressCount: 2});
+            const accounts = await provider.request({method: 'eth_accounts'});
+            expect(accounts.map(a => a.toLowerCase())).to.deep.equal([transport.getAddress(PATH), transport.getAddress(PATH.slice(0, 4).concat([1]))]);
+        });
+
+        it('should sign and forward transaction', async () => {
+            const {transport, bridge} = makeBridge();
+            const upstream = makeUpstream();
+            const provider = new LedgerProvider(upstream, bridge);
+            const hash = await provider.request({method: 'eth_sendTransaction', params: [{
+                from: transport.getAddress(PATH),
+                to: '0x76ae07e6d236c1ae3f5c3112f387ad82c69a2471',
+                value: '0xde0b6b3a7640000'
+            }]});
+            expect(hash).to.equal('0x' + '11'.repeat(32));
+
+            // the raw transaction is signed by the sender with the filled values
+            const raw = upstream.calls.find(c => 'eth_sendRawTransaction' === c.method).params[0];
+            const common = Common.forCustomChain('mainnet', {networkId: 1, chainId: 0xfa}, 'petersburg');
+            const signed = new Transaction(raw, {common});
+            expect('0x' + signed.getSenderAddress().toString('hex')).to.equal(transport.getAddress(PATH));
+            expect(signed.nonce.toString('hex')).to.equal('07');
+            expect(signed.gasLimit.toString('hex')).to.equal('5208');
+        });
+
+        it('should forward other calls', async () => {
+            const {bridge} = makeBridge();
+            const upstream = makeUpstream();
+            const block = await new Promise((resolve, reject) => {
+                new LedgerProvider(upstream, bridge).send({id: 1, jsonrpc: '2.0', method: 'eth_blockNumber', params: []}, (err, res) => {
+                    return err ? reject(err) : resolve(res.result);
+                });
+            });
+            expect(block).to.equal('0x10');
+        });
+    });
+
+    // ethers signer
+    describe('ledger signer', () => {
+        // provider answering the calls needed to send a transaction
+        const makeProvider = () => ({
+            sent: [],
+            getNetwork: async () => ({chainId: 0xfa, name: 'opera'}),
+            getGasPrice: async () => BigNumber.from('0x3b9aca00'),
+            getTransactionCount: async () => 3,
+            estimateGas: async () => BigNumber.from(60000),
+            resolveName: async (name) => name,
+            async sendTransaction(raw) {
+                this.sent.push(raw);
+                return {hash: '0x' + '22'.repeat(32)};
+            }
+        });
+
+        it('should derive checksum address', async () => {
+            const {transport, bridge} = makeBridge();
+            const address = await new LedgerSigner(bridge).getAddress();
+            expect(address.toLowerCase()).to.equal(transport.getAddress(PATH));
+            expect(address).to.not.equal(address.toLowerCase());
+        });
+
+        it('should send transaction built by the library', async () => {
+            const {transport, bridge} = makeBridge();
+            const provider = makeProvider();
+            const signer = new LedgerSigner(bridge).connect(provider);
+            const tx = erc20Utils.erc20TransferTx('0x76ae07e6d236c1ae3f5c3112f387ad82c69a2471', '0x6c5ee0a8a20bbf1c7e5f9bd5c1a8eab2bb11b7bb', '0x64');
+            const res = await signer.sendTransaction(tx);
+            expect(res.hash).to.equal('0x' + '22'.repeat(32));
+
+            const common = Common.forCustomChain('mainnet', {networkId: 1, chainId: 0xfa}, 'petersburg');
+            const signed = new Transaction(provider.sent[0], {common});
+            expect('0x' + signed.getSenderAddress().toString('hex')).to.equal(transport.getAddress(PATH));
+            expect(signed.nonce.toString('hex')).to.equal('03');
+            expect(signed.gasLimit.toString('hex')).to.equal('ea60');
+            expect('0x' + signed.data.toString('hex')).to.equal(tx.data);
+        });
+    });
+
+    // message signing
+    describe('sign messages', () => {
+        it('should sign personal message', async () => {
+            const {transport, bridge} = makeBridge();
+            const msg = 'Sign in to Fantom dApp: ' + 'x'.repeat(300);
+            const res = await bridge.signPersonalMessage(0, 0, msg);
+            const signer = new Web3().eth.accounts.recover(msg, res.signature);
+            expect(signer.toLowerCase()).to.equal(transport.getAddress(PATH));
+        });
+
+        it('should sign binary message', async () => {
+            const {transport, bridge} = makeBridge();
+            const msg = Buffer.from('00ff10', 'hex');
+            const res = await bridge.signPersonalMessage(0, 0, msg);
+            expect(res.v).to.be.oneOf([27, 28]);
+            const pub = ecrecover(hashPersonalMessage(msg), res.v, res.r, res.s);
+            expect('0x' + publicToAddress(pub).toString('hex')).to.equal(transport.getAddress(PATH));
+        });
+
+        // typed data of a permit like approval
+        const typedData = {
+            types: {
+                Approval: [
+                    {name: 'spender', type: 'address'},
+                    {name: 'amount', type: 'uint256'},
+                    {name: 'memo', type: 'string'}
+                ]
+            },
+            primaryType: 'Approval',
+            domain: {name: 'Fantom Test', version: '1', chainId: 250},
+            message: {spender: '0x76ae07e6d236c1ae3f5c3112f387ad82c69a2471', amount: '1000', memo: 'allowance'}
+        };
+
+        it('should sign typed data', async () => {
+            const {transport, bridge} = makeBridge(undefined, {verifySignatures: true});
+            const res = await bridge.signTypedData(0, 0, typedData);
+            const {v, r, s} = fromRpcSig(res.signature);
+            const pub = ecrecover(eip712.hashTypedData(typedData), v, r, s);
+            expect('0x' + publicToAddress(pub).toString('hex')).to.equal(transport.getAddress(PATH));
+        });
+
+        it('should sign typed data again after cancelled confirmation', async () => {
+            const {transport, bridge} = makeBridge();
+            transport.confirm = () => new Promise(resolve => setTimeout(resolve, 50));
+            try {
+                await bridge.signTypedData(0, 0, typedData, {timeout: 10});
+                expect.fail('signing did not time out');
+            } catch (e) {
+                expect(e).to.be.instanceOf(SigningCancelled);
+            }
+
+            transport.confirm = null;
+            const res = await bridge.signTypedData(0, 0, typedData);
+            expect(res.signature).to.be.a('string');
+        });
+
+        it('should require typed data support of the app', async () => {
+            const {transport, bridge} = makeBridge();
+            transport.injectError(ErrorCodes.ERR_UNKNOWN_INS, INS.SIGN_TYPED_DATA);
+            try {
+                await bridge.signTypedData(0, 0, typedData);
+                expect.fail('typed data was signed by an old app');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LedgerAppVersionError);
+                expect(e.message).to.equal('Please upgrade your Fantom Ledger app to use typed data signing.');
+            }
+
+            // the app is not asked again
+            await bridge.signTypedData(0, 0, typedData).catch(() => null);
+            expect(transport.exchanges).to.equal(1);
+        });
+    });
+});
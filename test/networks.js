@@ -0,0 +1,109 @@
+const expect = require('chai').expect;
+const Web3 = require('web3');
+const {BN} = require('ethereumjs-util');
+const {MAINNET, TESTNET, OPERA_CHAIN_ID, TESTNET_CHAIN_ID, CONTRACTS, customNetwork, getNetwork} = require('../lib/networks');
+const sfc_utils = require('../lib/sfc-utils').default;
+const wftm_utils = require('../lib/wftm-utils').default;
+const fmint_utils = require('../lib/fmint-utils').default;
+const uniswap_utils = require('../lib/uniswap-utils').default;
+const flend_utils = require('../lib/flend-utils').default;
+const governance_utils = require('../lib/governance-utils').default;
+
+// addresses used by the calls
+const FMINT = '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB';
+const TOKEN = '0x21be370D5312f44cB42ce377BC9b8a0cEF1A4C83';
+const RECIPIENT = '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb';
+
+// custom profile of the test net with the contracts deployed by the user
+const CUSTOM = customNetwork({
+    name: 'local',
+    contracts: {
+        wftm: '0xf1277d1Ed8AD466beddF92ef448A132661956621',
+        fmint: FMINT,
+        fmintReward: '0x3ba6E1A3ED27E2a3c32A2a42dfb3E2Cd1E33C6C4',
+        uniswapRouter: '0xcCAFCf876caB8f9542d6972f87B5D62e1182767d',
+        governance: '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+        lendingPool: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+        sftmTokenizer: '0x52b4d5BF0CA1E4A7bF2Ba5a35fd2E9a1bA5a1CE1'
+    }
+}, 'testnet');
+
+// BUILDERS represents a builder calling each contract of the address book
+// with the contract address taken from the network profile
+const BUILDERS = {
+    sfc: (network) => sfc_utils.createDelegationTx('0x1', 5, undefined, {network}),
+    wftm: (network) => wftm_utils.defiWrapFtm(null, '0x1', {network}),
+    fmint: (network) => fmint_utils.fMintDepositTokenTx(null, TOKEN, '0x1', {network}),
+    fmintReward: (network) => fmint_utils.fMintClaimRewardTx(null, {network}),
+    uniswapRouter: (network) => uniswap_utils.uniswapExactTokensForTokens(new Web3(), null, '0x1', '0x1', [TOKEN, FMINT], RECIPIENT, '0x1', {network}),
+    governance: (network) => governance_utils.governanceVote(new Web3(), null, RECIPIENT, '0x1', ['0x1'], {network}),
+    lendingPool: (network) => flend_utils.fLendDeposit(null, TOKEN, '0x1', RECIPIENT, '0x0', {network}),
+    sftmTokenizer: (network) => sfc_utils.sfcTokenizeLockedStake(undefined, null, 5, {network})
+};
+
+// test the network profiles
+describe('Network Profiles', () => {
+    it('should resolve network profiles', () => {
+        expect(getNetwork()).to.equal(MAINNET);
+        expect(getNetwork('testnet').chainId).to.equal('0xfa2');
+        expect([MAINNET.chainId, TESTNET.chainId]).to.deep.equal([OPERA_CHAIN_ID, TESTNET_CHAIN_ID]);
+        expect(getNetwork(CUSTOM)).to.equal(CUSTOM);
+        expect(() => getNetwork('ropsten')).to.throw('network');
+    });
+
+    it('should make custom profiles', () => {
+        expect(CUSTOM.chainId).to.equal(TESTNET.chainId);
+        expect(CUSTOM.contracts.sfc).to.equal(TESTNET.contracts.sfc);
+        expect(CUSTOM.contracts.fmint).to.equal(FMINT);
+        expect(customNetwork({chainId: 4003}).chainId).to.equal('0xfa3');
+        expect(customNetwork({chainId: new BN(4003)}).chainId).to.equal('0xfa3');
+        expect(customNetwork({chainId: Buffer.from('0fa3', 'hex')}).chainId).to.equal('0xfa3');
+        expect(() => customNetwork({chainId: 'fa3'})).to.throw('chainId');
+        expect(() => customNetwork({contracts: {fmint: '0x1234'}})).to.throw('isAddress');
+        expect(() => customNetwork({contracts: {vault: FMINT}})).to.throw('networkContract');
+    });
+
+    it('should build transactions for every contract of the profile', () => {
+        Object.keys(BUILDERS).forEach(contract => {
+            const tx = BUILDERS[contract](CUSTOM);
+            expect([tx.to, tx.chainId], contract).to.deep.equal([CUSTOM.contracts[contract], '0xfa2']);
+        });
+
+        const delegation = BUILDERS.sfc('testnet');
+        expect([delegation.to, delegation.chainId]).to.deep.equal([TESTNET.contracts.sfc, '0xfa2']);
+        const wrap = BUILDERS.wftm();
+        expect([wrap.to, wrap.chainId]).to.deep.equal([MAINNET.contracts.wftm, '0xfa']);
+    });
+
+    it('should resolve every contract the built-in profiles know', () => {
+        [MAINNET, TESTNET].forEach(network => {
+            Object.keys(network.contracts).forEach(contract => {
+                expect(CONTRACTS, contract).to.include(contract);
+                const tx = BUILDERS[contract](network.name);
+                expect([tx.to, tx.chainId], `${network.name}.${contract}`).to.deep.equal([network.contracts[contract], network.chainId]);
+            });
+        });
+    });
+
+    it('should take access list and network from the options', () => {
+        const accessList = [{address: RECIPIENT, storageKeys: []}];
+        const tx = wftm_utils.defiWrapFtm(null, '0x1', {accessList, network: 'testnet'});
+        expect([tx.to, tx.chainId, tx.accessList]).to.deep.equal([TESTNET.contracts.wftm, '0xfa2', accessList]);
+        expect(wftm_utils.defiWrapFtm(null, '0x1', accessList).accessList).to.deep.equal(accessList);
+        expect(() => wftm_utils.defiWrapFtm(null, '0x1', 'testnet')).to.throw('options');
+    });
+
+    it('should use explicit contract address on the network', () => {
+        const deposit = fmint_utils.fMintDepositTokenTx(FMINT, TOKEN, '0x1', {network: 'testnet'});
+        expect([deposit.to, deposit.chainId]).to.deep.equal([FMINT, '0xfa2']);
+        expect(fmint_utils.fMintDepositTokenTx(FMINT, TOKEN, '0x1').chainId).to.equal('0xfa');
+        expect(governance_utils.governanceVote(new Web3(), FMINT, RECIPIENT, '0x1', ['0x1'])).to.not.have.property('chainId');
+        expect(flend_utils.fLendDeposit(null, TOKEN, '0x1', RECIPIENT, '0x0')).to.not.have.property('to');
+    });
+
+    it('should reject contracts missing in the profile', () => {
+        const partial = customNetwork({name: 'partial', contracts: {fmint: null}}, CUSTOM);
+        expect(() => BUILDERS.fmint(partial)).to.throw('networkContract');
+        expect(() => fmint_utils.fMintDepositTokenTx(CUSTOM, TOKEN, '0x1')).to.throw('isString');
+    });
+});
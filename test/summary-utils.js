@@ -0,0 +1,83 @@
+const expect = require('chai').expect;
+const Web3 = require('web3');
+const {summarizeTransaction} = require('../lib/summary-utils');
+const sfc_utils = require('../lib/sfc-utils').default;
+const erc20_utils = require('../lib/erc20-utils').default;
+const uniswap_utils = require('../lib/uniswap-utils').default;
+const governance_utils = require('../lib/governance-utils').default;
+const fmint_utils = require('../lib/fmint-utils').default;
+const {BigNumber} = require('@ethersproject/bignumber');
+
+// tokens known to the resolver
+const WFTM = '0x21be370D5312f44cB42ce377BC9b8a0cEF1A4C83';
+const FUSD = '0xAd84341756Bf337f5a0164515b1f6F993D194E1f';
+const USDC = '0x04068DA6C83AFCFA0e13ba15A6696662335D5B75';
+const TOKENS = {
+    [WFTM.toLowerCase()]: {symbol: 'wFTM', decimals: 18},
+    [FUSD.toLowerCase()]: {symbol: 'fUSD', decimals: 18},
+    [USDC.toLowerCase()]: {symbol: 'USDC', decimals: 6}
+};
+const resolveToken = async (address) => TOKENS[address.toLowerCase()] || null;
+
+// other addresses used by the calls
+const ROUTER = '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB';
+const RECIPIENT = '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb';
+
+// test the transaction summaries
+describe('Transaction Summary', () => {
+    it('should summarize delegation', async () => {
+        const summary = await summarizeTransaction(sfc_utils.createDelegationTx({amount: '1000', decimals: 18}, 15));
+        expect(summary.text).to.equal('Delegate 1,000 FTM to validator #15');
+        expect(summary.fields).to.deep.equal([{name: 'amount', value: '1,000 FTM'}, {name: 'validator', value: '#15'}]);
+    });
+
+    it('should summarize transaction populated by ethers', async () => {
+        const tx = sfc_utils.createDelegationTx({amount: '1000', decimals: 18}, 15);
+        const summary = await summarizeTransaction({...tx, value: BigNumber.from(tx.value)});
+        expect(summary.text).to.equal('Delegate 1,000 FTM to validator #15');
+
+        const negative = {...tx, value: BigNumber.from(-1)};
+        try {
+            await summarizeTransaction(negative);
+            expect.fail('negative value was summarized');
+        } catch (e) {
+            expect([e.rule, e.field]).to.deep.equal(['isQuantity', 'tx.value']);
+        }
+    });
+
+    it('should summarize swap over a route', async () => {
+        const tx = uniswap_utils.uniswapExactTokensForTokens(new Web3(), ROUTER,
+            {amount: '10', decimals: 18}, {amount: '23.4', decimals: 6}, [WFTM, FUSD, USDC], RECIPIENT, 1622550600);
+        const summary = await summarizeTransaction(tx, {resolveToken});
+        expect(summary.protocol).to.equal('uniswap');
+        expect(summary.text).to.equal('Swap exactly 10 wFTM for at least 23.4 USDC via wFTM→fUSD→USDC, deadline 2021-06-01 12:30 UTC');
+    });
+
+    it('should summarize vote', async () => {
+        const tx = governance_utils.governanceVote(new Web3(), ROUTER, RECIPIENT, '0x7', ['0x2', '0x0', '0x1']);
+        const summary = await summarizeTransaction(tx);
+        expect(summary.text).to.equal('Vote on proposal 7 with choices [2,0,1]');
+    });
+
+    it('should summarize fMint max mint with the target ratio', async () => {
+        const byDefault = await summarizeTransaction(fmint_utils.fMintMintTokenMaxTx(ROUTER, FUSD), {resolveToken});
+        expect(byDefault.text).to.equal('Mint max fUSD on fMint keeping 300% collateral ratio');
+
+        const custom = await summarizeTransaction(fmint_utils.fMintMintTokenMaxTx(ROUTER, FUSD, '0x9c90'), {resolveToken});
+        expect(custom.fields).to.deep.equal([{name: 'token', value: 'fUSD'}, {name: 'ratio', value: '400.8%'}]);
+    });
+
+    it('should summarize token transfer of unknown token', async () => {
+        const summary = await summarizeTransaction(erc20_utils.erc20TransferTx(ROUTER, RECIPIENT, '0x3e8'), {resolveToken});
+        expect(summary.text).to.equal(`Transfer 1,000 units of 0xdbF0…C6FB to ${RECIPIENT}`);
+    });
+
+    it('should summarize plain transfer and unknown call', async () => {
+        const send = await summarizeTransaction({to: RECIPIENT, value: '0x14d1120d7b160000', data: '0x'});
+        expect(send.text).to.equal(`Send 1.5 FTM to ${RECIPIENT}`);
+
+        const call = await summarizeTransaction({to: RECIPIENT, value: '0x0', data: '0x12345678abcd'});
+        expect(call.protocol).to.equal(null);
+        expect(call.text).to.equal(`Call contract ${RECIPIENT} with 6 bytes of data`);
+    });
+});
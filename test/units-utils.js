@@ -0,0 +1,66 @@
+const expect = require('chai').expect;
+const {parseUnits, formatUnits, resolveAmount} = require('../lib/units-utils');
+const erc20_utils = require('../lib/erc20-utils');
+const wftm_utils = require('../lib/wftm-utils');
+
+// test the token amounts conversion
+describe('Units Utils', () => {
+    // parse human readable amounts
+    describe('parse units', () => {
+        it('should parse decimal amount', () => {
+            expect(parseUnits('1.5', 18).toString(10)).to.equal('1500000000000000000');
+            expect(parseUnits('1,000.25', 6).toString(10)).to.equal('1000250000');
+            expect(parseUnits('.5', 2).toString(10)).to.equal('50');
+            expect(parseUnits('123758431.5578147', 18).toString(10)).to.equal('123758431557814700000000000');
+            expect(parseUnits(25, 6).toString(10)).to.equal('25000000');
+        });
+
+        it('should parse amount with unit symbol', () => {
+            expect(parseUnits('1.5 FTM', 18).toString(10)).to.equal('1500000000000000000');
+            expect(parseUnits('2.5 usdc', 6, {symbol: 'USDC'}).toString(10)).to.equal('2500000');
+            expect(() => parseUnits('2.5 USDC', 18)).to.throw('unitSymbol');
+        });
+
+        it('should reject invalid amount', () => {
+            expect(() => parseUnits('1.005', 2)).to.throw('maxDecimals');
+            expect(() => parseUnits('-1', 18)).to.throw('isAmount');
+            expect(() => parseUnits('1e18', 18)).to.throw('isAmount');
+            expect(() => parseUnits(1e-7, 18)).to.throw('isAmount');
+            expect(() => parseUnits(0.1, 18)).to.throw('isAmount');
+            expect(() => parseUnits(2 ** 53, 18)).to.throw('isAmount');
+        });
+    });
+
+    // format raw amounts
+    describe('format units', () => {
+        it('should format raw amount', () => {
+            expect(formatUnits('0x14d1120d7b160000', 18)).to.equal('1.5');
+            expect(formatUnits('1000000000000000000', 18)).to.equal('1');
+            expect(formatUnits(1, 18)).to.equal('0.000000000000000001');
+        });
+
+        it('should apply precision, grouping and symbol', () => {
+            const amount = parseUnits('1234567.891', 18);
+            expect(formatUnits(amount, 18, {precision: 2, grouping: true, symbol: 'FTM'})).to.equal('1,234,567.89 FTM');
+            expect(formatUnits(amount, 18, {precision: 0})).to.equal('1234567');
+        });
+    });
+
+    // builders accept amounts with decimals hint
+    describe('builder amounts', () => {
+        it('should accept raw and human readable amount', () => {
+            const token = '0xfc00face00000000000000000000000000000000';
+            const recipient = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+            expect(erc20_utils.default.erc20TransferTx(token, recipient, {amount: '2.5', decimals: 6}).data)
+                .to.equal(erc20_utils.default.erc20TransferTx(token, recipient, '2500000').data);
+            expect(wftm_utils.default.defiWrapFtm(token, {amount: '1.5 FTM', decimals: 18}).value).to.equal('0x14d1120d7b160000');
+        });
+
+        it('should reject inexact number amount', () => {
+            expect(resolveAmount(1000)).to.equal(1000);
+            expect(() => resolveAmount(1.5)).to.throw('isAmount');
+            expect(() => resolveAmount(1e21)).to.throw('isAmount');
+            expect(() => resolveAmount({amount: 1.5, decimals: 18})).to.throw('isAmount');
+        });
+    });
+});
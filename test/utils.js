@@ -0,0 +1,160 @@
+const expect = require('chai').expect;
+const {Assert, parseBip32Path, decodeRawTransaction, withAccessList} = require('../lib/utils');
+const {ValidationError, InvalidTransactionDataError} = require('../lib/errors');
+const erc20_utils = require('../lib/erc20-utils');
+const sfc_utils = require('../lib/sfc-utils').default;
+
+// checksummed address of the recipient
+const RECIPIENT = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+// test the shared validation helpers
+describe('Validation Utils', () => {
+    // address validation
+    describe('validate address', () => {
+        it('should accept checksummed and single case address', () => {
+            expect(() => Assert.isAddress(RECIPIENT)).to.not.throw();
+            expect(() => Assert.isAddress(RECIPIENT.toLowerCase())).to.not.throw();
+            expect(() => Assert.isAddress('0x' + RECIPIENT.slice(2).toUpperCase())).to.not.throw();
+        });
+
+        it('should reject wrong checksum', () => {
+            expect(() => Assert.isAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD')).to.throw();
+        });
+
+        it('should reject malformed address', () => {
+            expect(() => Assert.isAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beae')).to.throw();
+            expect(() => Assert.isAddress('5aaeb6053f3e94c9b9a09f33669435e7ef1beaed')).to.throw();
+            expect(() => Assert.isAddress(null)).to.throw();
+        });
+    });
+
+    // builders validate addresses before encoding
+    describe('builder address validation', () => {
+        it('should build transfer to valid recipient', () => {
+            const tx = erc20_utils.default.erc20TransferTx('0xfc00face00000000000000000000000000000000', RECIPIENT, '0x1');
+            expect(tx.to).to.equal('0xfc00face00000000000000000000000000000000');
+        });
+
+        it('should reject transfer to mistyped recipient', () => {
+            expect(() => erc20_utils.default.erc20TransferTx('0xfc00face00000000000000000000000000000000', RECIPIENT.replace('a', 'A'), '0x1')).to.throw();
+        });
+    });
+
+    // structured validation errors
+    describe('validation errors', () => {
+        it('should report rule, field and value', () => {
+            try {
+                Assert.isUint32(-1, 'tx.gasLimit');
+                expect.fail('validation should have failed');
+            } catch (e) {
+                expect(e).to.be.instanceOf(ValidationError);
+                expect(e.rule).to.equal('isUint32');
+                expect(e.field).to.equal('tx.gasLimit');
+                expect(e.value).to.equal(-1);
+            }
+        });
+
+        it('should report failed BIP32 path element', () => {
+            try {
+                parseBip32Path("m/44'/60'/0/0/0");
+                expect.fail('validation should have failed');
+            } catch (e) {
+                expect(e.errors[0].rule).to.equal('bip44HardenedAccount');
+                expect(e.errors[0].field).to.equal('path[2]');
+            }
+        });
+
+        it('should collect all transaction errors', () => {
+            const errors = Assert.getTransactionErrors({to: RECIPIENT, value: '0x1', data: '0x', chainId: 250, gasPrice: '0x1'});
+            expect(errors.map(e => e.field)).to.deep.equal(['tx.nonce', 'tx.gasLimit']);
+            expect(() => Assert.isValidTransaction({})).to.throw(InvalidTransactionDataError).with.property('errors').with.length.above(1);
+        });
+    });
+
+    // transaction values sanity
+    describe('transaction values', () => {
+        const tx = {
+            nonce: '0x1',
+            gasPrice: '0x3b9aca00',
+            gasLimit: 21000,
+            to: RECIPIENT,
+            value: '0xde0b6b3a7640000',
+            data: '0x',
+            chainId: '0xfa'
+        };
+
+        const fieldsOf = (tx) => Assert.getTransactionErrors(tx).map(e => `${e.field}:${e.rule}`);
+
+        it('should accept valid transaction', () => {
+            expect(fieldsOf(tx)).to.deep.equal([]);
+        });
+
+        it('should accept transaction built from buffers', () => {
+            const buffers = {
+                nonce: Buffer.from('01', 'hex'),
+                gasPrice: Buffer.from('3b9aca00', 'hex'),
+                gasLimit: Buffer.from('5208', 'hex'),
+                to: Buffer.from(RECIPIENT.slice(2), 'hex'),
+                value: Buffer.from('0de0b6b3a7640000', 'hex'),
+                data: Buffer.alloc(0),
+                chainId: 250
+            };
+            expect(fieldsOf(buffers)).to.deep.equal([]);
+            expect(fieldsOf({...buffers, to: Buffer.alloc(0)})).to.deep.equal([]);
+            expect(fieldsOf({...buffers, to: Buffer.alloc(19)})).to.deep.equal(['tx.to:isAddress']);
+        });
+
+        it('should reject values out of range', () => {
+            expect(fieldsOf({...tx, value: '0x' + '1'.padEnd(25, '0')})).to.deep.equal(['tx.value:maxTransfer']);
+            expect(fieldsOf({...tx, gasLimit: '0x5207'})).to.deep.equal(['tx.gasLimit:minGasLimit']);
+            expect(fieldsOf({...tx, gasLimit: 30000001})).to.deep.equal(['tx.gasLimit:maxGasLimit']);
+        });
+
+        it('should reject malformed fields', () => {
+            expect(fieldsOf({...tx, nonce: '12', data: '0xabc', to: '0x1234'}))
+                .to.deep.equal(['tx.nonce:isQuantity', 'tx.to:isAddress', 'tx.data:isHexData']);
+            expect(fieldsOf({...tx, gasPrice: -1})).to.deep.equal(['tx.gasPrice:isQuantity']);
+        });
+    });
+
+    // EIP-2930 access lists
+    describe('access list', () => {
+        const accessList = [{address: RECIPIENT, storageKeys: ['0x' + '00'.repeat(31) + '01']}];
+
+        it('should attach valid access list', () => {
+            expect(withAccessList({to: RECIPIENT}, accessList)).to.deep.equal({to: RECIPIENT, accessList});
+            expect(withAccessList({to: RECIPIENT}, undefined)).to.deep.equal({to: RECIPIENT});
+            expect(() => withAccessList({to: RECIPIENT}, [{address: RECIPIENT}])).to.throw(ValidationError);
+        });
+
+        it('should collect all access list errors', () => {
+            const errors = Assert.getAccessListErrors([null, {address: '0x1234', storageKeys: ['0x01', '0x' + '02'.repeat(32)]}]);
+            expect(errors.map(e => `${e.field}:${e.rule}`)).to.have.members([
+                'accessList[0]:isObject',
+                'accessList[1].address:isAddress',
+                'accessList[1].storageKeys[0]:isStorageKey'
+            ]);
+            expect(Assert.getAccessListErrors(accessList)).to.deep.equal([]);
+            expect(Assert.getAccessListErrors('0x', 'tx.accessList').map(e => e.field)).to.deep.equal(['tx.accessList']);
+        });
+
+        it('should add access list to builder output', () => {
+            const transfer = erc20_utils.default.erc20TransferTx('0xfc00face00000000000000000000000000000000', RECIPIENT, '0x1', accessList);
+            expect(transfer.accessList).to.deep.equal(accessList);
+            expect(transfer.chainId).to.equal('0xfa');
+
+            const delegation = sfc_utils.createDelegationTx('0x1', 5, undefined, accessList);
+            expect(delegation.accessList).to.deep.equal(accessList);
+            expect(sfc_utils.createDelegationTx('0x1', 5)).to.not.have.property('accessList');
+        });
+    });
+
+    // raw transaction decoding
+    describe('decode raw transaction', () => {
+        it('should reject malformed raw transaction', () => {
+            expect(() => decodeRawTransaction('0xzz')).to.throw(InvalidTransactionDataError);
+            expect(() => decodeRawTransaction('0x05c0')).to.throw(InvalidTransactionDataError, 'txType');
+            expect(() => decodeRawTransaction('0xc3010203')).to.throw(InvalidTransactionDataError, 'rawFieldsCount');
+        });
+    });
+});